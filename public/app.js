@@ -4,35 +4,146 @@
  * Handles UI, LLM inference, and state management
  */
 
-import { CreateMLCEngine } from 'https://esm.run/@mlc-ai/web-llm@0.2.80';
+import { CreateWebWorkerMLCEngine, prebuiltAppConfig } from 'https://cdn.jsdelivr.net/npm/@mlc-ai/web-llm@0.2.80/+esm';
 import {
-  initializeFirebase,
-  signInAnonymousUser,
-  onAuthChange,
-  getUserId
-} from './firebase-config.js';
-import {
-  createUserProfile,
+  STORAGE_MODES,
+  getStorageMode,
+  setStorageMode,
+  openStorage,
+  getUserId,
+  getUserProfile,
+  updateUserProfile,
   createChat,
   getChats,
   getChat,
   updateChat,
+  updateChatSummary,
   deleteChat,
   addMessage,
   getMessages,
   subscribeToMessages,
   subscribeToChats,
   deleteAllUserData,
-  generateChatTitle,
-  escapeHtml,
-  updateMessageFeedback
-} from './db.js';
+  updateMessageFeedback,
+  updateMessagePinned,
+  selectMessageBranch,
+  searchMessages,
+  getGenerationStats,
+  supportsEncryption,
+  getEncryptionState,
+  unlockEncryption,
+  enableEncryption,
+  changeEncryptionPassphrase,
+  finishPassphraseChange,
+  reencryptAll
+} from './storage.js';
+import { generateChatTitle, escapeHtml, escapeAttribute } from './chat-data.js';
+import { MIN_PASSPHRASE_LENGTH } from './crypto.js';
 import {
   createContextManager,
-  getContextStatus,
   exportConversation,
-  MODEL_CONTEXT_LIMITS
+  CONTEXT_STRATEGIES,
+  DEFAULT_CONTEXT_OPTIONS,
+  normalizeContextOptions
 } from './memory.js';
+import {
+  DEFAULT_MODEL_ID,
+  getModels,
+  getModel,
+  getCustomModels,
+  setCustomModels,
+  validateCustomModel,
+  buildAppConfig,
+  supportsVision,
+  getVisionModel
+} from './models.js';
+import {
+  probeWebGPU,
+  assessModel,
+  describeAdapter,
+  COMPATIBILITY
+} from './hardware.js';
+import { createDownloadManager, DOWNLOAD_STATUS } from './downloads.js';
+import { createTokenCounter } from './tokenizer.js';
+import {
+  MAX_PERSONAS,
+  validatePersona,
+  normalizePersonas,
+  personaChatSettings
+} from './personas.js';
+import {
+  MAX_PROMPTS,
+  validatePrompt,
+  normalizePrompts,
+  buildLibrary,
+  parseSlashCommand,
+  matchPrompts,
+  getTemplateVariables,
+  usesVariable,
+  fillTemplate,
+  exportPrompts,
+  importPrompts
+} from './prompts.js';
+import {
+  buildGenerationStats,
+  formatStatsSummary,
+  formatStatsDetail,
+  aggregateStats
+} from './telemetry.js';
+import {
+  splitReasoning,
+  stripReasoning,
+  supportsThinking
+} from './reasoning.js';
+import {
+  parseSchema,
+  buildJsonInstruction,
+  checkStructuredOutput
+} from './structured.js';
+import {
+  buildToolInstruction,
+  parseToolCall,
+  stripToolCall,
+  runTool,
+  toolResultMessage
+} from './tools.js';
+import {
+  EMBEDDING_MODEL_ID,
+  SUPPORTED_EXTENSIONS,
+  validateDocument,
+  addDocument,
+  listDocuments,
+  removeDocument,
+  removeChatDocuments,
+  clearDocuments,
+  getChunk,
+  searchDocuments,
+  formatRetrievedContext
+} from './rag.js';
+import {
+  MAX_IMAGES_PER_MESSAGE,
+  validateImage,
+  isImageFile,
+  saveImage,
+  getImageUrl,
+  getImageDataUrl,
+  removeImage,
+  removeChatImages,
+  clearImages,
+  imagePlaceholder
+} from './images.js';
+import {
+  MAX_MEMORIES,
+  validateMemoryText,
+  createMemory,
+  normalizeMemories,
+  isDuplicateMemory,
+  mightContainFacts,
+  buildExtractionPrompt,
+  parseExtractedFacts,
+  selectMemories,
+  formatMemoryContext
+} from './memories.js';
 
 // ============================================================================
 // Configuration
@@ -40,7 +151,37 @@ import {
 
 const DEBUG = false; // Set to true for development logging
 const MAX_MESSAGE_LENGTH = 10000; // Maximum characters per message
+const MAX_RESPONSE_LENGTH = 40000; // Longest saved response; firestore.rules caps message content here
 const MODEL_STORAGE_KEY = 'selectedModel';
+const MAX_SYSTEM_PROMPT_LENGTH = 4000; // Matches firestore.rules
+const MAX_STOP_SEQUENCES = 4;
+const MAX_JSON_SCHEMA_LENGTH = 4000;
+const MAX_TOOL_ROUNDS = 3; // Tool calls allowed per user message
+const MAX_TOOL_RESULT_LENGTH = 8000;
+const COMPARE_STORAGE_KEY = 'compareModels';
+const MIN_COMPARE_MODELS = 2;
+const MEMORY_SETTINGS_STORAGE_KEY = 'memorySettings';
+const FIREBASE_TIMEOUT_MS = 15000; // Start offline if sign-in takes longer
+
+// Generation settings used for chats that have not customized them
+const DEFAULT_CHAT_SETTINGS = {
+  systemPrompt: '',
+  temperature: 0.7,
+  topP: 1,
+  maxTokens: 512,
+  stop: [],
+  frequencyPenalty: 0,
+  presencePenalty: 0,
+  repetitionPenalty: 1,
+  enableThinking: true,
+  jsonMode: false,
+  jsonSchema: '',
+  enableTools: false,
+  contextStrategy: DEFAULT_CONTEXT_OPTIONS.strategy,
+  contextThreshold: DEFAULT_CONTEXT_OPTIONS.threshold,
+  recentMessages: DEFAULT_CONTEXT_OPTIONS.recentCount,
+  keepPinned: DEFAULT_CONTEXT_OPTIONS.keepPinned
+};
 
 function log(...args) {
   if (DEBUG) {
@@ -68,15 +209,46 @@ const rateLimiter = {
 // ============================================================================
 
 let engine = null;
-let currentModelId = localStorage.getItem(MODEL_STORAGE_KEY) || 'Qwen3-0.6B-q4f16_1-MLC';
+let llmWorker = null;
+let embeddingEnginePromise = null;
+let embeddingWorker = null;
+let gpuCapabilities = null;
+let modelLoading = false; // An engine is being created or swapped
+let currentModelId = localStorage.getItem(MODEL_STORAGE_KEY) || DEFAULT_MODEL_ID;
 let currentChatId = null;
+let storageMode = null; // STORAGE_MODES value chosen on this device
+let offlineMode = false; // Firebase unreachable at startup: chats are kept in memory only
 let messages = [];
 let isGenerating = false;
+let stopRequested = false;
 let contextManager = createContextManager(currentModelId);
+let chatSettings = { ...DEFAULT_CHAT_SETTINGS };
+let chatDocuments = [];
+let indexingDocuments = []; // { name, done, total } while being embedded
+let pendingImages = []; // Image references attached to the next message
+let compareMode = false;
+let compareModelIds = loadCompareSelection();
+let userMemories = [];
+let memorySuggestions = []; // { text, chatId } awaiting confirmation
+let memorySettings = loadMemorySettings();
+let memoryExtraction = null; // { cancelled, done } while suggestMemories() uses the engine
+let messageQueue = []; // { id, chatId, text } sent while a response was generating
+let userPersonas = [];
+let currentPersona = null; // Persona of the current chat
+const declinedPersonaModels = new Set(); // Persona models the user chose not to load
+let userPrompts = [];
+let promptLibrary = buildLibrary([]);
+let commandMatches = []; // Prompts shown in the /command menu
+let commandIndex = 0;
+let lastSelection = ''; // Text last selected in the chat, for {{selection}}
 let unsubscribeMessages = null;
 let unsubscribeChats = null;
 let chatListClickHandler = null;
 let cachedModelsClickHandler = null;
+const downloadManager = createDownloadManager({
+  getAppConfig: () => buildAppConfig(prebuiltAppConfig),
+  onChange: renderDownloadItem
+});
 
 // ============================================================================
 // DOM Elements
@@ -90,6 +262,33 @@ const elements = {
   welcomeMessage: document.getElementById('welcomeMessage'),
   messageInput: document.getElementById('messageInput'),
   sendBtn: document.getElementById('sendBtn'),
+  stopBtn: document.getElementById('stopBtn'),
+  compareBtn: document.getElementById('compareBtn'),
+  compareBar: document.getElementById('compareBar'),
+  compareModels: document.getElementById('compareModels'),
+  messageQueue: document.getElementById('messageQueue'),
+  commandMenu: document.getElementById('commandMenu'),
+  promptsContainer: document.getElementById('promptsContainer'),
+  promptForm: document.getElementById('promptForm'),
+  promptError: document.getElementById('promptError'),
+  exportPromptsBtn: document.getElementById('exportPromptsBtn'),
+  importPromptsBtn: document.getElementById('importPromptsBtn'),
+  promptsFileInput: document.getElementById('promptsFileInput'),
+  memoryBar: document.getElementById('memoryBar'),
+  memorySuggestToggle: document.getElementById('memorySuggestToggle'),
+  memoryUseToggle: document.getElementById('memoryUseToggle'),
+  memoriesContainer: document.getElementById('memoriesContainer'),
+  memoryForm: document.getElementById('memoryForm'),
+  memoryError: document.getElementById('memoryError'),
+  attachBtn: document.getElementById('attachBtn'),
+  inputContainer: document.getElementById('inputContainer'),
+  imageBar: document.getElementById('imageBar'),
+  fileInput: document.getElementById('fileInput'),
+  documentsBar: document.getElementById('documentsBar'),
+  sourcePanel: document.getElementById('sourcePanel'),
+  sourceTitle: document.getElementById('sourceTitle'),
+  sourceContent: document.getElementById('sourceContent'),
+  closeSourceBtn: document.getElementById('closeSourceBtn'),
   modelSelect: document.getElementById('modelSelect'),
   statusDot: document.getElementById('statusDot'),
   statusText: document.getElementById('statusText'),
@@ -100,34 +299,49 @@ const elements = {
   sidebar: document.getElementById('sidebar'),
   chatList: document.getElementById('chatList'),
   settingsPanel: document.getElementById('settingsPanel'),
+  chatSettingsPanel: document.getElementById('chatSettingsPanel'),
+  chatSettingsForm: document.getElementById('chatSettingsForm'),
+  chatSettingsBtn: document.getElementById('chatSettingsBtn'),
+  closeChatSettingsBtn: document.getElementById('closeChatSettingsBtn'),
+  resetChatSettingsBtn: document.getElementById('resetChatSettingsBtn'),
   overlay: document.getElementById('overlay'),
   menuBtn: document.getElementById('menuBtn'),
   settingsBtn: document.getElementById('settingsBtn'),
   closeSettingsBtn: document.getElementById('closeSettingsBtn'),
   newChatBtn: document.getElementById('newChatBtn'),
+  personaMenu: document.getElementById('personaMenu'),
+  personaWelcome: document.getElementById('personaWelcome'),
+  personasContainer: document.getElementById('personasContainer'),
+  personaForm: document.getElementById('personaForm'),
+  personaError: document.getElementById('personaError'),
   themeToggle: document.getElementById('themeToggle'),
   exportBtn: document.getElementById('exportBtn'),
   clearChatBtn: document.getElementById('clearChatBtn'),
   deleteAllBtn: document.getElementById('deleteAllBtn'),
   userIdDisplay: document.getElementById('userIdDisplay'),
   connectionStatus: document.getElementById('connectionStatus'),
+  storageChoice: document.getElementById('storageChoice'),
+  storageModeSelect: document.getElementById('storageModeSelect'),
+  unlockForm: document.getElementById('unlockForm'),
+  unlockError: document.getElementById('unlockError'),
+  unlockUseLocalBtn: document.getElementById('unlockUseLocalBtn'),
+  encryptionSection: document.getElementById('encryptionSection'),
+  encryptionStatus: document.getElementById('encryptionStatus'),
+  encryptionForm: document.getElementById('encryptionForm'),
+  encryptionError: document.getElementById('encryptionError'),
+  reencryptItem: document.getElementById('reencryptItem'),
+  reencryptBtn: document.getElementById('reencryptBtn'),
   cachedModelsContainer: document.getElementById('cachedModelsContainer'),
+  modelDownloadsContainer: document.getElementById('modelDownloadsContainer'),
+  customModelsContainer: document.getElementById('customModelsContainer'),
+  customModelForm: document.getElementById('customModelForm'),
+  customModelError: document.getElementById('customModelError'),
+  hardwareInfo: document.getElementById('hardwareInfo'),
+  performanceStats: document.getElementById('performanceStats'),
+  refreshStatsBtn: document.getElementById('refreshStatsBtn'),
   clearAllModelsBtn: document.getElementById('clearAllModelsBtn')
 };
 
-// ============================================================================
-// Model Configuration
-// ============================================================================
-
-const AVAILABLE_MODELS = [
-  { id: 'Qwen3-0.6B-q4f16_1-MLC', name: 'Qwen3 0.6B (Fast)' },
-  { id: 'Llama-3.2-1B-Instruct-q4f16_1-MLC', name: 'Llama 3.2 1B' },
-  { id: 'SmolLM2-1.7B-Instruct-q4f16_1-MLC', name: 'SmolLM2 1.7B' },
-  { id: 'gemma-2-2b-it-q4f16_1-MLC', name: 'Gemma 2 2B' },
-  { id: 'Llama-3.2-3B-Instruct-q4f16_1-MLC', name: 'Llama 3.2 3B' },
-  { id: 'Phi-3.5-mini-instruct-q4f16_1-MLC', name: 'Phi-3.5 Mini (Best)' }
-];
-
 // ============================================================================
 // Initialization
 // ============================================================================
@@ -135,31 +349,60 @@ const AVAILABLE_MODELS = [
 async function init() {
   log('[App] Initializing...');
 
+  // Cache the app shell so the next start works without a network
+  registerServiceWorker();
+
   try {
-    // Initialize Firebase
-    updateLoadingStatus('Connecting to services...');
-    await initializeFirebase();
+    // Asked once per device; changed later in Settings
+    storageMode = getStorageMode() || await chooseStorageMode();
+    await connectStorage(storageMode);
+    renderStorageMode();
+
+    // Encrypted chats can't be read or written until unlocked
+    if (supportsEncryption() && getEncryptionState().enabled) {
+      await unlockChats();
+    }
+    renderEncryption();
+
+    // Check what this device's GPU can run before offering models
+    updateLoadingStatus('Checking your GPU...');
+    gpuCapabilities = await probeWebGPU();
+    renderHardwareInfo();
 
-    // Sign in anonymously
-    updateLoadingStatus('Setting up your account...');
-    await signInAnonymousUser();
+    // Pull relevant excerpts from the chat's documents into each prompt
+    contextManager.setRetriever(retrieveDocuments);
 
-    // Create user profile
-    await createUserProfile();
+    if (offlineMode) {
+      await startOffline();
+    } else {
+      // Load the user's registered models before anything reads the model list
+      await loadCustomModels();
 
-    // Display user ID
-    elements.userIdDisplay.textContent = getUserId()?.slice(0, 12) + '...';
+      // Remind the model of what it knows about the user from other chats
+      await loadMemories();
+      contextManager.setMemoryProvider(getMemoryContext);
 
-    // Load existing chats
-    updateLoadingStatus('Loading your chats...');
-    await loadChats();
+      await loadPrompts();
 
-    // Subscribe to chat updates
-    subscribeToChatsUpdates();
+      // Before loading chats, so their personas can pick the first model
+      await loadPersonas();
 
-    // Initialize or load chat
-    if (!currentChatId) {
-      await createNewChat();
+      // Display user ID
+      elements.userIdDisplay.textContent = storageMode === STORAGE_MODES.LOCAL
+        ? 'Local only'
+        : getUserId()?.slice(0, 12) + '...';
+
+      // Load existing chats
+      updateLoadingStatus('Loading your chats...');
+      await loadChats();
+
+      // Subscribe to chat updates
+      subscribeToChatsUpdates();
+
+      // Initialize or load chat
+      if (!currentChatId) {
+        await createNewChat();
+      }
     }
 
     // Setup event listeners
@@ -198,18 +441,38 @@ function updateLoadingStatus(text, isError = false) {
 // LLM Engine
 // ============================================================================
 
+/**
+ * Get the Web Worker hosting the WebLLM engine, creating it on first use
+ * The worker lives for the whole page session and is reused across model switches
+ */
+function getLLMWorker() {
+  if (!llmWorker) {
+    llmWorker = new Worker(new URL('./llm-worker.js', import.meta.url), { type: 'module' });
+  }
+  return llmWorker;
+}
+
 async function initEngine() {
   if (engine) {
     log('[LLM] Engine already initialized');
     return engine;
   }
 
+  if (gpuCapabilities && !gpuCapabilities.supported) {
+    updateStatus('error', gpuCapabilities.reason);
+    throw new Error(gpuCapabilities.reason);
+  }
+
   log('[LLM] Initializing engine with model:', currentModelId);
   updateStatus('loading', 'Loading model...');
   showProgress(true);
+  modelLoading = true;
 
   try {
-    engine = await CreateMLCEngine(currentModelId, {
+    // Inference runs in the worker; the returned proxy exposes the same
+    // chat.completions.create surface as an in-page engine
+    engine = await CreateWebWorkerMLCEngine(getLLMWorker(), currentModelId, {
+      appConfig: buildAppConfig(prebuiltAppConfig),
       initProgressCallback(progress) {
         const percent = Math.round(progress.progress * 100);
         updateProgress(percent);
@@ -221,41 +484,85 @@ async function initEngine() {
     showProgress(false);
     updateStatus('ready', 'Ready');
     log('[LLM] Model loaded successfully');
+    loadTokenCounter(currentModelId);
     return engine;
   } catch (err) {
     console.error('[LLM] Failed to create engine:', err);
     showProgress(false);
     updateStatus('error', 'Model load failed');
     throw err;
+  } finally {
+    modelLoading = false;
+  }
+}
+
+/**
+ * Switch token counting to the model's own tokenizer
+ * Counts stay heuristic until it loads (or if it can't be loaded)
+ * @param {string} modelId - Loaded model
+ */
+async function loadTokenCounter(modelId) {
+  const record = buildAppConfig(prebuiltAppConfig).model_list.find(m => m.model_id === modelId);
+  if (!record) return;
+
+  try {
+    const counter = await createTokenCounter(record);
+    if (modelId !== currentModelId) {
+      counter.dispose(); // Model changed while loading
+      return;
+    }
+    contextManager.setTokenCounter(counter);
+    updateTokenDisplay();
+  } catch (err) {
+    console.error('[LLM] Failed to load tokenizer, using estimated token counts:', err);
   }
 }
 
+/**
+ * Unload the current model and load another
+ * @param {string} newModelId - Model to load
+ * @returns {Promise<boolean>} False if the user declined an incompatible model
+ */
 async function switchModel(newModelId) {
   if (newModelId === currentModelId && engine) {
-    return;
+    return true;
+  }
+
+  // Stop before downloading a model this device can't (or likely can't) run
+  if (!confirmModelCompatibility(newModelId)) {
+    elements.modelSelect.value = currentModelId;
+    return false;
   }
 
   log('[LLM] Switching model to:', newModelId);
+  await cancelMemoryExtraction();
 
-  // Unload current engine
-  if (engine) {
-    try {
-      await engine.unload();
-    } catch (e) {
-      log('[LLM] Error unloading engine:', e);
+  modelLoading = true;
+  try {
+    // Unload current engine
+    if (engine) {
+      try {
+        await engine.unload();
+      } catch (e) {
+        log('[LLM] Error unloading engine:', e);
+      }
+      engine = null;
     }
-    engine = null;
-  }
 
-  currentModelId = newModelId;
-  localStorage.setItem(MODEL_STORAGE_KEY, newModelId);
-  contextManager.setModel(newModelId);
+    currentModelId = newModelId;
+    localStorage.setItem(MODEL_STORAGE_KEY, newModelId);
+    contextManager.setModel(newModelId);
 
-  // Load new model
-  await initEngine();
+    // Load new model
+    await initEngine();
+  } finally {
+    // Also when initEngine() fails before its own cleanup (e.g. no WebGPU)
+    modelLoading = false;
+  }
 
   // Update token display
   updateTokenDisplay();
+  return true;
 }
 
 // ============================================================================
@@ -272,16 +579,33 @@ async function loadChats() {
   }
 }
 
-async function createNewChat() {
-  const chatId = await createChat();
+/**
+ * Start a chat, optionally with a persona's prompt, settings and model
+ * @param {string|null} personaId - Persona to use
+ * @returns {Promise<string>} Chat ID
+ */
+async function createNewChat(personaId = null) {
+  const persona = userPersonas.find(p => p.id === personaId) || null;
+  const settings = persona ? normalizeChatSettings(personaChatSettings(persona)) : undefined;
+
+  const chatId = offlineMode
+    ? createLocalId('chat')
+    : await createChat('New Chat', persona ? { personaId: persona.id, settings } : {});
   currentChatId = chatId;
   messages = [];
 
   // Clear context summary
   contextManager.clearSummary();
 
+  // New chats start with the persona's or the default generation settings
+  applyChatSettings(settings);
+  setCurrentPersona(persona);
+  loadChatDocuments();
+  discardPendingImages();
+
   // Update UI
   renderMessages();
+  renderMessageQueue();
   elements.welcomeMessage.style.display = 'flex';
 
   // Subscribe to messages
@@ -305,18 +629,29 @@ async function loadChat(chatId) {
 
   currentChatId = chatId;
 
+  // Load per-chat generation settings
+  const chat = await getChat(chatId);
+  applyChatSettings(chat?.settings);
+  setCurrentPersona(userPersonas.find(p => p.id === chat?.personaId) || null);
+  loadChatDocuments();
+  discardPendingImages();
+
   // Load messages
   messages = await getMessages(chatId);
 
-  // Clear context summary for new chat
-  contextManager.clearSummary();
+  // Resume the chat's rolling summary (saved by whichever device made it)
+  contextManager.setSummary(chat?.summary);
 
   // Render messages
   renderMessages();
+  renderMessageQueue();
 
   // Subscribe to updates
   subscribeToCurrentChat();
 
+  // Send anything queued in this chat while it was in the background
+  processQueue();
+
   // Close sidebar on mobile
   closeSidebar();
 
@@ -329,7 +664,7 @@ function subscribeToCurrentChat() {
     unsubscribeMessages();
   }
 
-  if (!currentChatId) return;
+  if (!currentChatId || offlineMode) return;
 
   unsubscribeMessages = subscribeToMessages(currentChatId, (newMessages) => {
     messages = newMessages;
@@ -341,546 +676,3625 @@ function subscribeToCurrentChat() {
 function subscribeToChatsUpdates() {
   unsubscribeChats = subscribeToChats((chats) => {
     renderChatList(chats);
+
+    // Pick up settings changed on another device
+    const current = chats.find(chat => chat.id === currentChatId);
+    if (current) {
+      const synced = normalizeChatSettings(current.settings);
+      if (JSON.stringify(synced) !== JSON.stringify(chatSettings)) {
+        applyChatSettings(synced);
+      }
+    }
   });
 }
 
 // ============================================================================
-// Message Handling
+// Offline Support
 // ============================================================================
 
-async function sendMessage() {
-  const text = elements.messageInput.value.trim();
-  if (!text || isGenerating) return;
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js').catch(err => {
+    console.error('[App] Service worker registration failed:', err);
+  });
+}
 
-  // Input validation
-  if (text.length > MAX_MESSAGE_LENGTH) {
-    alert(`Message too long. Maximum ${MAX_MESSAGE_LENGTH.toLocaleString()} characters allowed.`);
-    return;
-  }
+/**
+ * Reject if a promise takes too long
+ * @param {Promise} promise - Operation
+ * @param {number} ms - Time limit
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms))
+  ]);
+}
 
-  // Rate limiting
-  if (!rateLimiter.canSend()) {
-    return; // Silently ignore rapid sends
+function createLocalId(prefix) {
+  return `local-${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Start without Firebase: built-in models only, and a chat kept in memory
+ * A model already in Cache Storage is picked so nothing has to be downloaded
+ */
+async function startOffline() {
+  renderModelSelect();
+  elements.userIdDisplay.textContent = 'Offline';
+  elements.connectionStatus.innerHTML = '<span class="status-dot error"></span><span>Offline · not saved</span>';
+  elements.connectionStatus.title = 'Firebase could not be reached. Chats in this session are not saved; reload when online to sync.';
+
+  if ((await downloadManager.check(currentModelId)).status !== DOWNLOAD_STATUS.COMPLETE) {
+    for (const model of getModels()) {
+      if (getCompatibility(model.id).level === COMPATIBILITY.UNSUPPORTED) continue;
+      if ((await downloadManager.check(model.id)).status === DOWNLOAD_STATUS.COMPLETE) {
+        currentModelId = model.id;
+        contextManager.setModel(model.id);
+        elements.modelSelect.value = model.id;
+        break;
+      }
+    }
   }
 
-  // Disable input during generation
-  isGenerating = true;
-  elements.messageInput.disabled = true;
-  elements.sendBtn.disabled = true;
-  elements.messageInput.value = '';
+  await createNewChat();
+}
 
-  // Hide welcome message
-  elements.welcomeMessage.style.display = 'none';
+/**
+ * Save a message to the current chat (kept in memory only when offline)
+ * @param {string} role - Message role
+ * @param {string} content - Message text
+ * @param {Object} extra - Additional fields (see addMessage)
+ * @returns {Promise<string>} Message ID
+ */
+async function saveMessage(role, content, extra) {
+  if (offlineMode) return createLocalId('msg');
+  return addMessage(currentChatId, role, content, currentModelId, extra);
+}
 
-  // Add user message
-  const userMessage = { role: 'user', content: text, timestamp: new Date() };
-  messages.push(userMessage);
-  renderMessages();
-  scrollToBottom();
+/**
+ * Update the current chat document (skipped when offline)
+ * @param {Object} data - Fields to update
+ */
+async function saveChatUpdate(data) {
+  if (offlineMode) return;
+  await updateChat(currentChatId, data);
+}
 
-  // Save to Firestore
-  await addMessage(currentChatId, 'user', text, currentModelId);
+// ============================================================================
+// Storage Mode
+// ============================================================================
 
-  // Update chat title if first message
-  if (messages.length === 1) {
-    const title = generateChatTitle(text);
-    await updateChat(currentChatId, { title });
-  }
+/**
+ * Ask where to keep chats on first launch
+ * @returns {Promise<string>} Chosen STORAGE_MODES value (already saved)
+ */
+function chooseStorageMode() {
+  updateLoadingStatus('Where should your chats be kept?');
+  elements.loadingSubtext.textContent = 'You can change this later in Settings';
+  elements.loadingScreen.classList.add('choosing');
+
+  return new Promise((resolve) => {
+    elements.storageChoice.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-mode]');
+      if (!btn) return;
+      setStorageMode(btn.dataset.mode);
+      elements.loadingScreen.classList.remove('choosing');
+      elements.loadingSubtext.textContent = '';
+      resolve(btn.dataset.mode);
+    });
+  });
+}
 
-  // Show typing indicator
-  showTypingIndicator();
+/**
+ * Open the chosen storage backend
+ * In Firebase mode a cached model can still be used when Firebase can't be
+ * reached (or isn't configured): chats are then kept in memory only
+ * @param {string} mode - STORAGE_MODES value
+ */
+async function connectStorage(mode) {
+  if (mode === STORAGE_MODES.LOCAL) {
+    updateLoadingStatus('Opening local storage...');
+    await openStorage(mode);
+    elements.connectionStatus.innerHTML = '<span class="status-dot ready"></span><span>Local only</span>';
+    elements.connectionStatus.title = 'Chats are stored in this browser and never uploaded.';
+    return;
+  }
 
+  updateLoadingStatus('Connecting to services...');
   try {
-    // Ensure engine is ready
-    const llm = await initEngine();
-    if (!llm) {
-      throw new Error('LLM engine not available');
-    }
+    await withTimeout(openStorage(mode), FIREBASE_TIMEOUT_MS);
+  } catch (err) {
+    console.error('[App] Firebase unreachable, starting offline:', err);
+    offlineMode = true;
+  }
+}
 
-    // Prepare messages with context management
-    const { messages: contextMessages, summarized } = await contextManager.prepare(
-      messages,
-      async (prompt) => {
-        // Use the LLM to generate summary
-        const response = await llm.chat.completions.create({
-          messages: [{ role: 'user', content: prompt }],
-          temperature: 0.3,
-          max_tokens: 200,
-          stream: false
-        });
-        return response.choices[0]?.message?.content || '';
-      }
-    );
+function renderStorageMode() {
+  elements.storageModeSelect.value = storageMode;
+}
 
-    if (summarized) {
-      showSummaryNotice();
-    }
+/**
+ * Switch storage backends; chats stay where they are and the page reloads
+ */
+function switchStorageMode() {
+  const mode = elements.storageModeSelect.value;
+  if (mode === storageMode) return;
+
+  const message = mode === STORAGE_MODES.LOCAL
+    ? 'Switch to Local only? Your synced chats stay in Firebase and reappear if you switch back. The page will reload.'
+    : 'Switch to Firebase sync? Chats on this device stay here and reappear if you switch back. The page will reload.';
+  if (isGenerating) {
+    alert('Wait for the current response to finish first.');
+    renderStorageMode();
+    return;
+  }
+  if (!confirm(message)) {
+    renderStorageMode();
+    return;
+  }
 
-    // Generate response
-    updateStatus('loading', 'Generating...');
+  setStorageMode(mode);
+  location.reload();
+}
 
-    const stream = await llm.chat.completions.create({
-      messages: contextMessages.map(m => ({ role: m.role, content: m.content })),
-      temperature: 0.7,
-      max_tokens: 512,
-      stream: true
-    });
+// ============================================================================
+// Encryption
+// ============================================================================
 
-    // Remove typing indicator
-    hideTypingIndicator();
+/**
+ * Ask for the passphrase on the loading screen until it's right
+ * @returns {Promise<void>} Resolves once unlocked
+ */
+function unlockChats() {
+  updateLoadingStatus('Your chats are encrypted');
+  elements.loadingSubtext.textContent = 'Enter your passphrase to unlock them in this browser';
+  elements.loadingScreen.classList.add('unlocking');
+
+  const form = elements.unlockForm;
+  const input = form.elements.passphrase;
+  input.focus();
+
+  elements.unlockUseLocalBtn.addEventListener('click', () => {
+    if (!confirm('Encrypted chats can\'t be read without the passphrase. Use Local only in this browser instead? The page will reload.')) return;
+    setStorageMode(STORAGE_MODES.LOCAL);
+    location.reload();
+  });
 
-    // Create assistant message placeholder
-    const assistantMessage = { role: 'assistant', content: '', timestamp: new Date() };
-    messages.push(assistantMessage);
-    renderMessages();
+  return new Promise((resolve) => {
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      elements.unlockError.textContent = '';
+      const button = form.querySelector('button[type="submit"]');
+      button.disabled = true;
 
-    // Stream response
-    let fullResponse = '';
-    for await (const chunk of stream) {
-      const newText = chunk.choices?.[0]?.delta?.content;
-      if (newText) {
-        fullResponse += newText;
-        assistantMessage.content = fullResponse;
-        updateLastMessage(fullResponse);
-        scrollToBottom();
+      try {
+        if (await unlockEncryption(input.value)) {
+          input.value = '';
+          elements.loadingScreen.classList.remove('unlocking');
+          elements.loadingSubtext.textContent = '';
+          resolve();
+        } else {
+          elements.unlockError.textContent = 'Wrong passphrase';
+          input.select();
+        }
+      } catch (err) {
+        console.error('[Encryption] Unlock failed:', err);
+        elements.unlockError.textContent = err.message;
+      } finally {
+        button.disabled = false;
       }
-    }
+    });
+  });
+}
 
-    // Save assistant message to Firestore
-    const assistantMsgId = await addMessage(currentChatId, 'assistant', fullResponse, currentModelId);
-    assistantMessage.id = assistantMsgId;
+function renderEncryption() {
+  const available = supportsEncryption();
+  elements.encryptionSection.style.display = available ? '' : 'none';
+  if (!available) return;
+
+  const { enabled, unfinishedChange } = getEncryptionState();
+  const form = elements.encryptionForm;
+  form.elements.confirm.style.display = unfinishedChange ? 'none' : '';
+  form.elements.confirm.required = !unfinishedChange;
+  form.elements.passphrase.placeholder = unfinishedChange ? 'Previous passphrase' : 'New passphrase';
+  form.elements.passphrase.autocomplete = unfinishedChange ? 'current-password' : 'new-password';
+  form.querySelector('button[type="submit"]').textContent = !enabled
+    ? 'Turn On Encryption'
+    : (unfinishedChange ? 'Finish Passphrase Change' : 'Change Passphrase');
+  elements.reencryptItem.style.display = enabled && !unfinishedChange ? '' : 'none';
+
+  if (!enabled) {
+    elements.encryptionStatus.textContent = 'Off. Chats, memories, personas and saved prompts are stored in Firebase as plaintext.';
+  } else if (unfinishedChange) {
+    elements.encryptionStatus.textContent = 'A passphrase change was interrupted. Chats still encrypted with the previous passphrase show as locked; enter it to finish re-encrypting them.';
+  } else {
+    elements.encryptionStatus.textContent = 'On. Chat titles, messages, summaries, system prompts, memories, personas and saved prompts are encrypted in this browser before they are synced. A forgotten passphrase can\'t be recovered.';
+  }
+}
 
-    updateStatus('ready', 'Ready');
-    log('[LLM] Generation complete');
-  } catch (err) {
-    console.error('[LLM] Generation error:', err);
-    hideTypingIndicator();
-    updateStatus('error', 'Generation failed');
+function setEncryptionBusy(busy) {
+  [...elements.encryptionForm.elements].forEach(el => { el.disabled = busy; });
+  elements.reencryptBtn.disabled = busy;
+}
 
-    // Show error message
-    const errorMessage = { role: 'assistant', content: 'Sorry, an error occurred. Please try again.', timestamp: new Date() };
-    messages.push(errorMessage);
-    renderMessages();
+/**
+ * Run a re-encryption, showing progress in the Settings section
+ * @param {Function} task - (onProgress) => Promise of the number of values that
+ *   couldn't be decrypted, or null if the passphrase was wrong
+ */
+async function runEncryptionTask(task) {
+  if (isGenerating) {
+    alert('Wait for the current response to finish first.');
+    return;
   }
 
-  // Re-enable input
-  isGenerating = false;
-  elements.messageInput.disabled = false;
-  elements.sendBtn.disabled = false;
-  elements.messageInput.focus();
+  elements.encryptionError.textContent = '';
+  setEncryptionBusy(true);
+  try {
+    const failed = await task((done, total) => {
+      elements.encryptionStatus.textContent = `Encrypting chats... ${done}/${total}. Keep this tab open.`;
+    });
 
-  // Update token display
-  updateTokenDisplay();
+    if (failed === null) {
+      elements.encryptionError.textContent = 'Wrong passphrase';
+      return;
+    }
+    elements.encryptionForm.reset();
+    if (failed > 0) {
+      alert(`${failed} item(s) couldn't be decrypted and were left as they are. They were encrypted with a passphrase this browser doesn't know.`);
+    }
+  } catch (err) {
+    console.error('[Encryption] Re-encryption failed:', err);
+    elements.encryptionError.textContent = err.message;
+  } finally {
+    setEncryptionBusy(false);
+    renderEncryption();
+  }
 }
 
-// ============================================================================
-// UI Rendering
-// ============================================================================
+async function handleEncryptionSubmit(e) {
+  e.preventDefault();
+  const form = elements.encryptionForm;
+  const passphrase = form.elements.passphrase.value;
+  const { enabled, unfinishedChange } = getEncryptionState();
 
-function renderMessages() {
-  // Clear existing messages (except welcome)
-  const existingMessages = elements.chatContainer.querySelectorAll('.message, .typing-indicator, .summary-notice');
-  existingMessages.forEach(el => el.remove());
+  if (unfinishedChange) {
+    await runEncryptionTask(onProgress => finishPassphraseChange(passphrase, onProgress));
+    return;
+  }
 
-  if (messages.length === 0) {
-    elements.welcomeMessage.style.display = 'flex';
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    elements.encryptionError.textContent = `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+    return;
+  }
+  if (passphrase !== form.elements.confirm.value) {
+    elements.encryptionError.textContent = 'Passphrases don\'t match';
     return;
   }
 
-  elements.welcomeMessage.style.display = 'none';
+  const message = enabled
+    ? 'Change the passphrase and re-encrypt all chats with it? Other devices will ask for the new passphrase.'
+    : 'Turn on encryption? All chats will be encrypted with this passphrase. If you forget it, your chats can\'t be recovered.';
+  if (!confirm(message)) return;
 
-  messages.forEach((msg, index) => {
-    const messageEl = createMessageElement(msg);
-    elements.chatContainer.appendChild(messageEl);
-  });
+  await runEncryptionTask(onProgress => (enabled
+    ? changeEncryptionPassphrase(passphrase, onProgress)
+    : enableEncryption(passphrase, onProgress)));
+}
 
-  scrollToBottom();
+/**
+ * Encrypt anything still stored as plaintext, e.g. written by a device that
+ * hadn't reloaded since encryption was turned on
+ */
+async function handleReencrypt() {
+  await runEncryptionTask(reencryptAll);
 }
 
-function createMessageElement(message) {
-  const div = document.createElement('div');
-  div.className = `message ${message.role}`;
-  if (message.id) {
-    div.dataset.messageId = message.id;
-  }
+// ============================================================================
+// Chat Settings
+// ============================================================================
 
-  const avatar = document.createElement('div');
-  avatar.className = 'message-avatar';
-  avatar.textContent = message.role === 'user' ? 'U' : 'AI';
+function clampNumber(value, min, max, fallback) {
+  const num = Number(value);
+  if (value === '' || value === null || !Number.isFinite(num)) return fallback;
+  return Math.min(max, Math.max(min, num));
+}
 
-  const contentWrapper = document.createElement('div');
-  contentWrapper.className = 'message-content-wrapper';
+/**
+ * Fill in defaults and clamp stored chat settings to valid ranges
+ * @param {Object} raw - Settings from the chat document (may be partial or missing)
+ * @returns {Object} Complete chat settings
+ */
+function normalizeChatSettings(raw = {}) {
+  const defaults = DEFAULT_CHAT_SETTINGS;
+  raw = raw || {};
+
+  return {
+    systemPrompt: String(raw.systemPrompt ?? defaults.systemPrompt).slice(0, MAX_SYSTEM_PROMPT_LENGTH),
+    temperature: clampNumber(raw.temperature, 0, 2, defaults.temperature),
+    topP: clampNumber(raw.topP, 0.01, 1, defaults.topP),
+    maxTokens: Math.round(clampNumber(raw.maxTokens, 16, 4096, defaults.maxTokens)),
+    stop: (Array.isArray(raw.stop) ? raw.stop : defaults.stop)
+      .filter(seq => typeof seq === 'string' && seq.length > 0)
+      .slice(0, MAX_STOP_SEQUENCES),
+    frequencyPenalty: clampNumber(raw.frequencyPenalty, -2, 2, defaults.frequencyPenalty),
+    presencePenalty: clampNumber(raw.presencePenalty, -2, 2, defaults.presencePenalty),
+    repetitionPenalty: clampNumber(raw.repetitionPenalty, 0.1, 2, defaults.repetitionPenalty),
+    enableThinking: raw.enableThinking !== false,
+    jsonMode: raw.jsonMode === true,
+    jsonSchema: String(raw.jsonSchema ?? defaults.jsonSchema).slice(0, MAX_JSON_SCHEMA_LENGTH),
+    enableTools: raw.enableTools === true,
+    ...contextSettings(raw)
+  };
+}
 
-  const content = document.createElement('div');
-  content.className = 'message-content';
-  content.innerHTML = formatMessageContent(message.content);
+/**
+ * Normalize the context-window settings of a chat
+ * @param {Object} raw - Stored or submitted chat settings
+ * @returns {Object} { contextStrategy, contextThreshold, recentMessages, keepPinned }
+ */
+function contextSettings(raw) {
+  const options = normalizeContextOptions({
+    strategy: raw.contextStrategy,
+    threshold: raw.contextThreshold,
+    recentCount: raw.recentMessages,
+    keepPinned: raw.keepPinned
+  });
+  return {
+    contextStrategy: options.strategy,
+    contextThreshold: options.threshold,
+    recentMessages: options.recentCount,
+    keepPinned: options.keepPinned
+  };
+}
 
-  contentWrapper.appendChild(content);
+/**
+ * Combine the user's system prompt with mode instructions
+ * @param {Object} settings - Chat settings
+ * @returns {string} System prompt sent to the model
+ */
+function buildSystemPrompt(settings) {
+  const parts = [settings.systemPrompt];
+  if (settings.jsonMode) {
+    parts.push(buildJsonInstruction(settings.jsonSchema));
+  } else if (settings.enableTools) {
+    parts.push(buildToolInstruction());
+  }
+  return parts.filter(Boolean).join('\n\n');
+}
 
-  // Add feedback buttons for assistant messages
+/**
+ * Check if the model may call tools in this chat
+ * JSON mode wins: its grammar can't produce <tool_call> output
+ */
+function toolsEnabled() {
+  return chatSettings.enableTools && !chatSettings.jsonMode;
+}
+
+/**
+ * Make the given settings active for the current chat
+ * @param {Object} raw - Settings from the chat document
+ */
+function applyChatSettings(raw) {
+  chatSettings = normalizeChatSettings(raw);
+  contextManager.setSystemPrompt(buildSystemPrompt(chatSettings));
+  contextManager.setContextOptions({
+    strategy: chatSettings.contextStrategy,
+    threshold: chatSettings.contextThreshold,
+    recentCount: chatSettings.recentMessages,
+    keepPinned: chatSettings.keepPinned
+  });
+
+  // Don't overwrite the form while the user is editing it
+  if (!elements.chatSettingsPanel.classList.contains('open')) {
+    renderChatSettingsForm(chatSettings);
+  }
+
+  updateTokenDisplay();
+}
+
+/**
+ * Build WebLLM completion parameters from the current chat settings
+ * @param {Object} overrides - Parameters that take precedence over the chat settings
+ * @returns {Object} Parameters for chat.completions.create
+ */
+function buildCompletionParams(overrides = {}) {
+  return {
+    temperature: chatSettings.temperature,
+    top_p: chatSettings.topP,
+    max_tokens: chatSettings.maxTokens,
+    stop: chatSettings.stop.length > 0 ? chatSettings.stop : undefined,
+    frequency_penalty: chatSettings.frequencyPenalty,
+    presence_penalty: chatSettings.presencePenalty,
+    repetition_penalty: chatSettings.repetitionPenalty,
+    response_format: buildResponseFormat(),
+    // Reasoning text would break grammar-constrained JSON output
+    ...thinkingParams(chatSettings.enableThinking && !chatSettings.jsonMode),
+    ...overrides
+  };
+}
+
+/**
+ * Build WebLLM's response_format for JSON mode
+ * @returns {Object|undefined} JSON grammar constraint, or undefined for free text
+ */
+function buildResponseFormat() {
+  if (!chatSettings.jsonMode) return undefined;
+
+  const format = { type: 'json_object' };
+  if (chatSettings.jsonSchema.trim()) {
+    format.schema = chatSettings.jsonSchema.trim();
+  }
+  return format;
+}
+
+/**
+ * Build the thinking-mode switch for models that support it
+ * @param {boolean} enabled - Whether the model should reason before answering
+ * @returns {Object} Extra completion parameters (empty for other models)
+ */
+function thinkingParams(enabled) {
+  if (!supportsThinking(currentModelId)) return {};
+  return { extra_body: { enable_thinking: enabled } };
+}
+
+function renderChatSettingsForm(settings) {
+  const fields = elements.chatSettingsForm.elements;
+  fields.systemPrompt.value = settings.systemPrompt;
+  fields.temperature.value = settings.temperature;
+  fields.topP.value = settings.topP;
+  fields.maxTokens.value = settings.maxTokens;
+  fields.stop.value = settings.stop.join('\n');
+  fields.frequencyPenalty.value = settings.frequencyPenalty;
+  fields.presencePenalty.value = settings.presencePenalty;
+  fields.repetitionPenalty.value = settings.repetitionPenalty;
+  fields.enableThinking.checked = settings.enableThinking;
+  fields.jsonMode.checked = settings.jsonMode;
+  fields.jsonSchema.value = settings.jsonSchema;
+  fields.enableTools.checked = settings.enableTools;
+  fields.contextStrategy.value = settings.contextStrategy;
+  fields.contextThreshold.value = Math.round(settings.contextThreshold * 100);
+  fields.recentMessages.value = settings.recentMessages;
+  fields.keepPinned.checked = settings.keepPinned;
+}
+
+async function saveChatSettings(e) {
+  e.preventDefault();
+  if (!currentChatId) return;
+
+  const fields = elements.chatSettingsForm.elements;
+  const settings = normalizeChatSettings({
+    systemPrompt: fields.systemPrompt.value.trim(),
+    temperature: fields.temperature.value,
+    topP: fields.topP.value,
+    maxTokens: fields.maxTokens.value,
+    stop: fields.stop.value.split('\n'),
+    frequencyPenalty: fields.frequencyPenalty.value,
+    presencePenalty: fields.presencePenalty.value,
+    repetitionPenalty: fields.repetitionPenalty.value,
+    enableThinking: fields.enableThinking.checked,
+    jsonMode: fields.jsonMode.checked,
+    jsonSchema: fields.jsonSchema.value.trim(),
+    enableTools: fields.enableTools.checked,
+    contextStrategy: fields.contextStrategy.value,
+    contextThreshold: fields.contextThreshold.value / 100,
+    recentMessages: fields.recentMessages.value,
+    keepPinned: fields.keepPinned.checked
+  });
+
+  const { error: schemaError } = parseSchema(settings.jsonSchema);
+  if (schemaError) {
+    alert(schemaError);
+    return;
+  }
+
+  try {
+    await saveChatUpdate({ settings });
+    closeChatSettings();
+    applyChatSettings(settings);
+    log('[App] Saved chat settings:', settings);
+  } catch (err) {
+    console.error('[App] Failed to save chat settings:', err);
+    alert('Failed to save chat settings');
+  }
+}
+
+// ============================================================================
+// Message Handling
+// ============================================================================
+
+/**
+ * Send the typed message, or queue it while a response is generating
+ */
+async function sendMessage() {
+  const text = elements.messageInput.value.trim();
+  if (!text || !currentChatId) return;
+  const images = pendingImages;
+
+  // Input validation
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    alert(`Message too long. Maximum ${MAX_MESSAGE_LENGTH.toLocaleString()} characters allowed.`);
+    return;
+  }
+
+  if (compareMode && getCompareSelection().length < MIN_COMPARE_MODELS) {
+    alert(`Select at least ${MIN_COMPARE_MODELS} models to compare.`);
+    return;
+  }
+
+  if (isGenerating) {
+    enqueueMessage(text, images);
+    return;
+  }
+
+  // Rate limiting
+  if (!rateLimiter.canSend()) {
+    return; // Silently ignore rapid sends
+  }
+
+  elements.messageInput.value = '';
+  pendingImages = [];
+  renderImageBar();
+  await submitMessage(text, images);
+}
+
+/**
+ * Add a user message to the chat and answer it
+ * @param {string} text - Validated message text
+ * @param {Array} images - Attached image references { id, name, width, height }
+ */
+async function submitMessage(text, images = []) {
+  isGenerating = true;
+  stopRequested = false;
+  setGeneratingUI(true);
+  await cancelMemoryExtraction();
+
+  // Hide welcome message
+  elements.welcomeMessage.style.display = 'none';
+
+  // Add user message as a child of the last saved message on the active branch
+  const previousMessages = messages;
+  const parentId = getLastMessageId();
+  const userMessage = { role: 'user', content: text, parentId, images, timestamp: new Date() };
+  messages = [...messages, userMessage];
+  renderMessages();
+  scrollToBottom();
+
+  // Save to Firestore (images stay on this device; only their references are synced)
+  const extra = images.length > 0 ? { parentId, images } : { parentId };
+  try {
+    userMessage.id = await saveMessage('user', text, extra);
+  } catch (err) {
+    abortSubmit(previousMessages, text, err);
+    return;
+  }
+
+  // Update chat title if first message
+  if (messages.length === 1) {
+    await saveTitle(generateChatTitle(text));
+  }
+
+  if (compareMode) {
+    await runComparison(userMessage.id);
+    finishGeneration();
+    return;
+  }
+
+  await generateWithTools(userMessage.id);
+  const answered = !stopRequested;
+  finishGeneration();
+  // In the background, so the input and queue don't wait for it
+  if (answered) suggestMemories(text);
+}
+
+/**
+ * Undo a user message that couldn't be saved (e.g. encrypted chats are locked)
+ * Restores the conversation and the typed text, and frees the input
+ * @param {Array} previousMessages - Messages before the submit
+ * @param {string} text - Message text
+ * @param {Error} err - Save error
+ */
+function abortSubmit(previousMessages, text, err) {
+  console.error('[Chat] Failed to save message:', err);
+  messages = previousMessages;
+  renderMessages();
+  if (!elements.messageInput.value) elements.messageInput.value = text;
+  updateStatus('error', 'Message not saved');
+  finishGeneration();
+  alert(`Your message couldn't be saved: ${err.message}`);
+}
+
+/**
+ * Save a new chat title; a failure only leaves the old title
+ * @param {string} title - Chat title
+ */
+async function saveTitle(title) {
+  try {
+    await saveChatUpdate({ title });
+  } catch (err) {
+    console.error('[Chat] Failed to save title:', err);
+  }
+}
+
+/**
+ * Get the ID of the last persisted message on the active branch
+ * Local-only messages (e.g. error notices) are skipped
+ * @returns {string|null} Message ID, or null for an empty chat
+ */
+function getLastMessageId() {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].id) return messages[i].id;
+  }
+  return null;
+}
+
+/**
+ * Replace a user message with an edited version on a new branch
+ * The original message and everything after it stay available via branch navigation
+ * @param {Object} message - User message being edited
+ * @param {string} text - New message text
+ */
+async function submitEditedMessage(message, text) {
+  if (isGenerating) return;
+
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    alert(`Message too long. Maximum ${MAX_MESSAGE_LENGTH.toLocaleString()} characters allowed.`);
+    return;
+  }
+
+  const index = messages.findIndex(m => m.id === message.id);
+  if (index === -1) return;
+
+  isGenerating = true;
+  stopRequested = false;
+  setGeneratingUI(true);
+  await cancelMemoryExtraction();
+
+  // The edit becomes a sibling of the original message
+  const previousMessages = messages;
+  messages = messages.slice(0, index);
+  // The edit keeps the original's images
+  const images = message.images || [];
+  const userMessage = { role: 'user', content: text, parentId: message.parentId, images, timestamp: new Date() };
+  messages.push(userMessage);
+  renderMessages();
+
+  const extra = images.length > 0 ? { parentId: message.parentId, images } : { parentId: message.parentId };
+  try {
+    userMessage.id = await saveMessage('user', text, extra);
+  } catch (err) {
+    abortSubmit(previousMessages, text, err);
+    return;
+  }
+
+  // Keep the chat title in sync with its first message
+  if (index === 0) {
+    await saveTitle(generateChatTitle(text));
+  }
+
+  await generateWithTools(userMessage.id);
+  finishGeneration();
+}
+
+/**
+ * Generate a new response variant for an assistant message
+ * The new variant becomes the selected one for that turn
+ * @param {Object} message - Assistant message to regenerate
+ */
+async function regenerateResponse(message) {
+  if (isGenerating || !message.parentId) return;
+
+  const index = messages.findIndex(m => m.id === message.id);
+  if (index === -1) return;
+
+  isGenerating = true;
+  stopRequested = false;
+  setGeneratingUI(true);
+  await cancelMemoryExtraction();
+
+  // Context is everything before the response being replaced
+  messages = messages.slice(0, index);
+  renderMessages();
+
+  await generateWithTools(message.parentId);
+  finishGeneration();
+}
+
+/**
+ * Stream a response to the current messages and save it
+ * @param {string} parentId - ID of the user message being answered
+ * @param {Object} options - Comparison runs pass { comparisonId, loadMs, comparison }
+ * @returns {Promise<Object|null>} The saved assistant message, or null if nothing was saved
+ */
+async function generateResponse(parentId, options = {}) {
+  // Show typing indicator
+  showTypingIndicator();
+
+  try {
+    // Ensure engine is ready
+    const llm = await initEngine();
+    if (!llm) {
+      throw new Error('LLM engine not available');
+    }
+
+    const startTime = performance.now();
+
+    // Prepare messages with context management
+    const { messages: contextMessages, summarized, dropped, summary, summaryUpdated, sources } = await contextManager.prepare(
+      messagesForModel(messages),
+      async (prompt) => {
+        // Use the LLM to generate summary
+        // Same sampling settings as the chat, but kept cool and short
+        const response = await llm.chat.completions.create({
+          messages: [{ role: 'user', content: prompt }],
+          ...buildCompletionParams({
+            temperature: Math.min(chatSettings.temperature, 0.3),
+            max_tokens: 200,
+            stop: undefined,
+            response_format: undefined,
+            ...thinkingParams(false)
+          }),
+          stream: false
+        });
+        return stripReasoning(response.choices[0]?.message?.content || '');
+      }
+    );
+
+    if (summarized) {
+      showSummaryNotice('Earlier conversation has been summarized to fit context window');
+    } else if (dropped > 0) {
+      showSummaryNotice(chatSettings.contextStrategy === CONTEXT_STRATEGIES.RETRIEVAL
+        ? `${dropped} older messages left out; only relevant ones are sent`
+        : `${dropped} older messages left out to fit context window`);
+    }
+    if (summaryUpdated && summary.coveredUntilId && !offlineMode) {
+      updateChatSummary(currentChatId, summary).catch(err => {
+        console.error('[App] Failed to save summary:', err);
+      });
+    }
+
+    // Generate response
+    updateStatus('loading', 'Generating...');
+    const requestStart = performance.now();
+
+    const stream = await llm.chat.completions.create({
+      messages: await Promise.all(contextMessages.map(toModelMessage)),
+      ...buildCompletionParams(),
+      stream: true,
+      // The final chunk carries token counts and WebLLM's runtime stats
+      stream_options: { include_usage: true }
+    });
+
+    // Remove typing indicator
+    hideTypingIndicator();
+
+    // Create assistant message placeholder
+    const assistantMessage = { role: 'assistant', content: '', parentId, modelId: currentModelId, timestamp: new Date() };
+    if (options.comparisonId) {
+      // Streamed next to the answers already collected in this run
+      assistantMessage.comparison = [...options.comparison, assistantMessage];
+    }
+    messages.push(assistantMessage);
+    renderMessages();
+
+    // Stream response (ends early if the user pressed Stop)
+    // Reasoning is parsed out as it arrives and shown separately from the answer
+    let fullResponse = '';
+    let usage = null;
+    let finishReason = null;
+    let firstTokenMs = null;
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+      finishReason = chunk.choices?.[0]?.finish_reason || finishReason;
+      const newText = chunk.choices?.[0]?.delta?.content;
+      if (newText) {
+        firstTokenMs ??= performance.now() - requestStart;
+        fullResponse += newText;
+        const { reasoning, content, isThinking } = splitReasoning(fullResponse);
+        assistantMessage.content = content;
+        assistantMessage.reasoning = reasoning;
+        updateLastMessage(content, reasoning, isThinking);
+        scrollToBottom();
+      }
+    }
+
+    const { reasoning, content: fullContent } = splitReasoning(fullResponse);
+    // Whatever the token setting, keep the answer within what storage accepts
+    const overLength = fullContent.length > MAX_RESPONSE_LENGTH;
+    const content = overLength ? fullContent.slice(0, MAX_RESPONSE_LENGTH) : fullContent;
+    if (overLength) assistantMessage.content = content;
+    const truncated = stopRequested || overLength;
+    const stats = buildGenerationStats({
+      usage,
+      finishReason: truncated ? 'stopped' : finishReason,
+      firstTokenMs,
+      totalMs: performance.now() - requestStart,
+      device: describeAdapter(gpuCapabilities)
+    });
+
+    if (content) {
+      // Save assistant message to Firestore, flagging partial responses
+      assistantMessage.truncated = truncated;
+      const extra = { truncated, parentId, stats };
+      assistantMessage.stats = stats;
+      if (reasoning) extra.reasoning = reasoning;
+      if (sources.length > 0) {
+        extra.sources = sources;
+        assistantMessage.sources = sources;
+      }
+      const toolCall = toolsEnabled() && !truncated ? parseToolCall(content) : null;
+      if (toolCall) {
+        extra.toolCall = toolCall;
+        assistantMessage.toolCall = toolCall;
+      }
+      if (chatSettings.jsonMode) {
+        // Flag output that isn't valid JSON or doesn't match the schema
+        const { valid, errors } = checkStructuredOutput(content, chatSettings.jsonSchema);
+        extra.format = 'json';
+        if (!valid) extra.validationErrors = errors;
+        Object.assign(assistantMessage, { format: 'json', validationErrors: valid ? [] : errors });
+      }
+      if (options.comparisonId) {
+        extra.comparisonId = options.comparisonId;
+        extra.timing = { loadMs: options.loadMs, generateMs: Math.round(performance.now() - startTime) };
+        Object.assign(assistantMessage, { comparisonId: extra.comparisonId, timing: extra.timing });
+      }
+      const assistantMsgId = await saveMessage('assistant', content, extra);
+      assistantMessage.id = assistantMsgId;
+    } else {
+      // Stopped before any answer was produced (reasoning alone is not kept)
+      messages = messages.filter(m => m !== assistantMessage);
+    }
+    renderMessages();
+
+    updateStatus('ready', truncated ? 'Stopped' : 'Ready');
+    log('[LLM] Generation', truncated ? 'stopped' : 'complete');
+    return assistantMessage.id ? assistantMessage : null;
+  } catch (err) {
+    console.error('[LLM] Generation error:', err);
+    hideTypingIndicator();
+    updateStatus('error', 'Generation failed');
+
+    // Show error message
+    const errorMessage = { role: 'assistant', content: 'Sorry, an error occurred. Please try again.', timestamp: new Date() };
+    messages.push(errorMessage);
+    renderMessages();
+    return null;
+  }
+}
+
+/**
+ * Adapt messages to what the current model can see
+ * Vision models get the pixels of the latest image message only (each image fills
+ * about half of the context); other images become text placeholders
+ * @param {Array} list - Messages on the active branch
+ * @returns {Array} Messages, with replaced copies where images were removed
+ */
+function messagesForModel(list) {
+  const latest = supportsVision(currentModelId)
+    ? [...list].reverse().find(m => m.images?.length > 0)
+    : null;
+
+  return list.map(m => {
+    if (!m.images?.length || m === latest) return m;
+    return { ...m, images: [], content: `${m.images.map(imagePlaceholder).join(' ')}\n${m.content}` };
+  });
+}
+
+/**
+ * Build the chat completion message for a prepared message
+ * Images are sent as content parts; earlier reasoning is never sent back to the model
+ * @param {Object} m - Message from contextManager.prepare()
+ * @returns {Promise<Object>} OpenAI-style message
+ */
+async function toModelMessage(m) {
+  if (m.role === 'tool') return toolResultMessage(m.content);
+
+  const content = stripReasoning(m.content);
+  if (!m.images?.length) return { role: m.role, content };
+
+  const urls = await Promise.all(m.images.map(ref => getImageDataUrl(ref.id).catch(() => null)));
+  if (urls.some(url => !url)) {
+    // Attached on another device; the pixels were never synced
+    return { role: m.role, content: `${m.images.map(imagePlaceholder).join(' ')}\n${content}` };
+  }
+
+  return {
+    role: m.role,
+    content: [
+      ...urls.map(url => ({ type: 'image_url', image_url: { url } })),
+      { type: 'text', text: content }
+    ]
+  };
+}
+
+/**
+ * Generate a response, running any tools it calls and continuing until the
+ * model answers without a tool call (or MAX_TOOL_ROUNDS is reached)
+ * @param {string} parentId - ID of the message being answered
+ * @returns {Promise<Object|null>} The final saved assistant message
+ */
+async function generateWithTools(parentId) {
+  let response = await generateResponse(parentId);
+
+  for (let round = 0; response?.toolCall && round < MAX_TOOL_ROUNDS && !stopRequested; round++) {
+    const toolMessage = await executeToolCall(response);
+    if (!toolMessage?.id || stopRequested) break;
+    response = await generateResponse(toolMessage.id);
+  }
+
+  return response;
+}
+
+/**
+ * Run the tool an assistant message asked for and save the result as a tool message
+ * @param {Object} message - Saved assistant message with a toolCall
+ * @returns {Promise<Object|null>} The saved tool message
+ */
+async function executeToolCall(message) {
+  const { toolCall } = message;
+  updateStatus('loading', `Running ${toolCall.name}...`);
+
+  const { result, error } = await runTool(toolCall, { searchMessages });
+  const content = JSON.stringify(error ? { error } : result).slice(0, MAX_TOOL_RESULT_LENGTH);
+
+  const toolMessage = {
+    role: 'tool',
+    content,
+    parentId: message.id,
+    toolCall,
+    isError: Boolean(error),
+    timestamp: new Date()
+  };
+  messages.push(toolMessage);
+  renderMessages();
+
+  try {
+    toolMessage.id = await saveMessage('tool', content, {
+      parentId: message.id,
+      toolCall,
+      isError: toolMessage.isError
+    });
+    return toolMessage;
+  } catch (err) {
+    console.error('[Tools] Failed to save tool result:', err);
+    updateStatus('error', 'Tool call failed');
+    return null;
+  }
+}
+
+/**
+ * Answer one prompt with each selected model in turn
+ * Responses are saved as sibling versions of the same turn sharing a
+ * comparisonId, so they render side by side and stay reachable as branches
+ * @param {string} parentId - ID of the user message being answered
+ */
+async function runComparison(parentId) {
+  const comparisonId = `cmp-${Date.now().toString(36)}`;
+  const results = [];
+
+  // Start with the loaded model to save one model load
+  const modelIds = getCompareSelection()
+    .sort((a, b) => (b === currentModelId) - (a === currentModelId));
+
+  for (const modelId of modelIds) {
+    if (stopRequested) break;
+
+    // Every model answers from the same context
+    const index = messages.findIndex(m => m.id === parentId);
+    if (index === -1) {
+      // The prompt left the view (e.g. the chat changed); keep the conversation as is
+      console.error('[Compare] Prompt message not found:', parentId);
+      break;
+    }
+    messages = messages.slice(0, index + 1);
+    renderMessages();
+
+    const loadStart = performance.now();
+    try {
+      if (!(await switchModel(modelId))) continue;
+    } catch (err) {
+      console.error('[Compare] Failed to load model:', modelId, err);
+      continue;
+    }
+    elements.modelSelect.value = currentModelId;
+    if (stopRequested) break;
+
+    const loadMs = Math.round(performance.now() - loadStart);
+    const response = await generateResponse(parentId, { comparisonId, loadMs, comparison: results });
+    if (response) results.push(response);
+  }
+
+  log('[Compare] Finished with', results.length, 'responses');
+}
+
+/**
+ * Restore input controls after a generation run and start the next queued message
+ */
+function finishGeneration() {
+  // Re-enable input
+  isGenerating = false;
+  stopRequested = false;
+  setGeneratingUI(false);
+  elements.messageInput.focus();
+
+  // Update token display
+  updateTokenDisplay();
+
+  processQueue();
+}
+
+/**
+ * Interrupt the running generation
+ * The streaming loop in generateResponse() ends on its own and keeps the partial text
+ */
+function stopGeneration() {
+  if (!isGenerating) return;
+
+  log('[LLM] Stop requested');
+  stopRequested = true;
+  // No engine while a comparison is loading its next model; the run stops after the load
+  if (engine) engine.interruptGenerate();
+
+  // finishGeneration() resets the UI once the partial response is saved
+  elements.messageInput.focus();
+}
+
+/**
+ * Toggle input controls between idle and generating states
+ * @param {boolean} generating - Whether a response is being generated
+ */
+function setGeneratingUI(generating) {
+  // The input stays usable: messages sent meanwhile are queued
+  elements.sendBtn.title = generating ? 'Add to queue' : 'Send message';
+  elements.stopBtn.style.display = generating ? 'flex' : 'none';
+  elements.messageInput.placeholder = generating ? 'Type your next message...' : getInputPlaceholder();
+
+  // Regenerate, edit, retry and branch buttons rendered during the run start a
+  // new one, so they follow the state without waiting for a re-render
+  elements.chatContainer.querySelectorAll('.generation-action').forEach(button => {
+    button.disabled = generating;
+  });
+}
+
+// ============================================================================
+// Message Queue
+// ============================================================================
+
+/**
+ * Queue a message to send once the current response finishes
+ * @param {string} text - Validated message text
+ * @param {Array} images - Attached image references
+ */
+function enqueueMessage(text, images = []) {
+  messageQueue.push({ id: `q-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, chatId: currentChatId, text, images });
+  elements.messageInput.value = '';
+  elements.messageInput.style.height = 'auto';
+  pendingImages = [];
+  renderImageBar();
+  renderMessageQueue();
+  log('[Queue] Queued message,', messageQueue.length, 'waiting');
+}
+
+/**
+ * Send the current chat's next queued message, if idle
+ * Messages queued in other chats wait until that chat is open again
+ */
+function processQueue() {
+  if (isGenerating) return;
+
+  const next = messageQueue.find(item => item.chatId === currentChatId);
+  if (!next) return;
+
+  messageQueue = messageQueue.filter(item => item !== next);
+  renderMessageQueue();
+  submitMessage(next.text, next.images);
+}
+
+function renderMessageQueue() {
+  const items = messageQueue.filter(item => item.chatId === currentChatId);
+
+  elements.messageQueue.innerHTML = items.map((item, i) => `
+    <div class="queue-item">
+      <span class="queue-position">${i + 1}</span>
+      <span class="queue-text" title="${escapeAttribute(item.text)}">${item.images.length > 0 ? '🖼 ' : ''}${escapeHtml(item.text)}</span>
+      <button class="queue-action" data-action="edit" data-queue-id="${item.id}" title="Edit queued message">Edit</button>
+      <button class="queue-action queue-remove" data-action="remove" data-queue-id="${item.id}" title="Remove from queue">&times;</button>
+    </div>
+  `).join('');
+  elements.messageQueue.style.display = items.length > 0 ? 'flex' : 'none';
+}
+
+function handleQueueAction(action, itemId) {
+  const item = messageQueue.find(q => q.id === itemId);
+  if (!item) return;
+
+  if (action === 'remove') {
+    messageQueue = messageQueue.filter(q => q !== item);
+  } else if (action === 'edit') {
+    const edited = prompt('Edit queued message', item.text);
+    if (edited === null) return;
+
+    const text = edited.trim();
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      alert(`Message too long. Maximum ${MAX_MESSAGE_LENGTH.toLocaleString()} characters allowed.`);
+      return;
+    }
+    // Clearing the text removes the item; it may also have been sent meanwhile
+    if (!text) {
+      messageQueue = messageQueue.filter(q => q !== item);
+    } else {
+      item.text = text;
+    }
+  }
+  renderMessageQueue();
+}
+
+// ============================================================================
+// UI Rendering
+// ============================================================================
+
+function renderMessages() {
+  // Clear existing messages (except welcome)
+  const existingMessages = elements.chatContainer.querySelectorAll('.message, .typing-indicator, .summary-notice');
+  existingMessages.forEach(el => el.remove());
+
+  if (messages.length === 0) {
+    elements.welcomeMessage.style.display = 'flex';
+    return;
+  }
+
+  elements.welcomeMessage.style.display = 'none';
+
+  messages.forEach((msg, index) => {
+    const messageEl = createMessageElement(msg);
+    elements.chatContainer.appendChild(messageEl);
+  });
+
+  scrollToBottom();
+}
+
+function createMessageElement(message) {
+  if (message.role === 'assistant' && message.comparison?.length > 1) {
+    return createComparisonElement(message);
+  }
+  if (message.role === 'tool') {
+    return createToolMessageElement(message);
+  }
+
+  const div = document.createElement('div');
+  div.className = `message ${message.role}`;
+  if (message.id) {
+    div.dataset.messageId = message.id;
+  }
+
+  const avatar = document.createElement('div');
+  avatar.className = 'message-avatar';
+  avatar.textContent = message.role === 'user' ? 'U' : 'AI';
+
+  const contentWrapper = document.createElement('div');
+  contentWrapper.className = 'message-content-wrapper';
+
+  // Collapsible reasoning shown above the answer
+  if (message.reasoning) {
+    contentWrapper.appendChild(createReasoningElement(message.reasoning));
+  }
+
+  if (message.images?.length > 0) {
+    contentWrapper.appendChild(createImagesElement(message.images));
+  }
+
+  const content = document.createElement('div');
+  content.className = 'message-content';
+  renderMessageBody(content, message);
+
+  contentWrapper.appendChild(content);
+
+  if (message.validationErrors?.length > 0) {
+    contentWrapper.appendChild(createValidationNotice(message));
+  }
+
+  if (message.sources?.length > 0) {
+    contentWrapper.appendChild(createSourcesElement(message.sources));
+  }
+
+  // Mark responses that were stopped before completion
+  if (message.truncated) {
+    const truncatedNote = document.createElement('div');
+    truncatedNote.className = 'message-truncated';
+    truncatedNote.textContent = 'Response stopped';
+    contentWrapper.appendChild(truncatedNote);
+  }
+
+  // Add feedback buttons for assistant messages
   if (message.role === 'assistant' && message.id) {
     const feedbackDiv = document.createElement('div');
     feedbackDiv.className = 'message-feedback';
 
-    const thumbsUp = document.createElement('button');
-    thumbsUp.className = `feedback-btn ${message.feedback === 'up' ? 'active' : ''}`;
-    thumbsUp.dataset.feedback = 'up';
-    thumbsUp.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
-      <path d="M14 9V5a3 3 0 0 0-3-3l-4 9v11h11.28a2 2 0 0 0 2-1.7l1.38-9a2 2 0 0 0-2-2.3zM7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3"/>
-    </svg>`;
-    thumbsUp.title = 'Good response';
-    thumbsUp.onclick = () => handleFeedback(message.id, 'up', thumbsUp, thumbsDown);
+    const thumbsUp = document.createElement('button');
+    thumbsUp.className = `feedback-btn ${message.feedback === 'up' ? 'active' : ''}`;
+    thumbsUp.dataset.feedback = 'up';
+    thumbsUp.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+      <path d="M14 9V5a3 3 0 0 0-3-3l-4 9v11h11.28a2 2 0 0 0 2-1.7l1.38-9a2 2 0 0 0-2-2.3zM7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3"/>
+    </svg>`;
+    thumbsUp.title = 'Good response';
+    thumbsUp.onclick = () => handleFeedback(message.id, 'up', thumbsUp, thumbsDown);
+
+    const thumbsDown = document.createElement('button');
+    thumbsDown.className = `feedback-btn ${message.feedback === 'down' ? 'active' : ''}`;
+    thumbsDown.dataset.feedback = 'down';
+    thumbsDown.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+      <path d="M10 15v4a3 3 0 0 0 3 3l4-9V2H5.72a2 2 0 0 0-2 1.7l-1.38 9a2 2 0 0 0 2 2.3zm7-13h2.67A2.31 2.31 0 0 1 22 4v7a2.31 2.31 0 0 1-2.33 2H17"/>
+    </svg>`;
+    thumbsDown.title = 'Poor response';
+    thumbsDown.onclick = () => handleFeedback(message.id, 'down', thumbsUp, thumbsDown);
+
+    // Version pager for regenerated responses
+    if (message.siblings?.length > 1) {
+      feedbackDiv.classList.add('has-branches');
+      feedbackDiv.appendChild(createBranchPager(message));
+    }
+
+    feedbackDiv.appendChild(thumbsUp);
+    feedbackDiv.appendChild(thumbsDown);
+    feedbackDiv.appendChild(createPinButton(message));
+
+    // Regenerating adds a new version of this turn
+    if (message.parentId) {
+      const regenerateBtn = document.createElement('button');
+      regenerateBtn.className = 'feedback-btn';
+      regenerateBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+        <path d="M23 4v6h-6M1 20v-6h6"/>
+        <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/>
+      </svg>`;
+      regenerateBtn.title = 'Regenerate response';
+      regenerateBtn.classList.add('generation-action');
+      regenerateBtn.disabled = isGenerating;
+      regenerateBtn.onclick = () => regenerateResponse(message);
+      feedbackDiv.appendChild(regenerateBtn);
+    }
+
+    if (message.stats) {
+      feedbackDiv.appendChild(createStatsElement(message.stats));
+    }
+
+    contentWrapper.appendChild(feedbackDiv);
+  }
+
+  // Branch navigation and editing for user messages
+  if (message.role === 'user' && message.id) {
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'message-feedback';
+
+    if (message.siblings?.length > 1) {
+      actionsDiv.classList.add('has-branches');
+      actionsDiv.appendChild(createBranchPager(message));
+    }
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'feedback-btn';
+    editBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+      <path d="M12 20h9M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/>
+    </svg>`;
+    editBtn.title = 'Edit message';
+    editBtn.classList.add('generation-action');
+    editBtn.disabled = isGenerating;
+    editBtn.onclick = () => startEditingMessage(div, message);
+
+    actionsDiv.appendChild(editBtn);
+    actionsDiv.appendChild(createPinButton(message));
+    contentWrapper.appendChild(actionsDiv);
+  }
+
+  div.appendChild(avatar);
+  div.appendChild(contentWrapper);
+
+  return div;
+}
+
+/**
+ * Replace a user message bubble with an inline editor
+ * @param {HTMLElement} messageEl - Rendered message element
+ * @param {Object} message - User message being edited
+ */
+function startEditingMessage(messageEl, message) {
+  if (isGenerating) return;
+
+  const wrapper = messageEl.querySelector('.message-content-wrapper');
+
+  const editor = document.createElement('div');
+  editor.className = 'message-editor';
+
+  const textarea = document.createElement('textarea');
+  textarea.value = message.content;
+  textarea.maxLength = MAX_MESSAGE_LENGTH;
+  textarea.rows = Math.min(message.content.split('\n').length + 1, 8);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'message-editor-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'settings-btn';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = () => renderMessages();
+
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'settings-btn primary';
+  saveBtn.textContent = 'Save & Submit';
+  saveBtn.onclick = () => {
+    const text = textarea.value.trim();
+    if (!text || text === message.content) {
+      renderMessages();
+      return;
+    }
+    submitEditedMessage(message, text);
+  };
+
+  buttons.appendChild(cancelBtn);
+  buttons.appendChild(saveBtn);
+  editor.appendChild(textarea);
+  editor.appendChild(buttons);
+
+  wrapper.replaceChildren(editor);
+  textarea.focus();
+}
+
+/**
+ * Create the "‹ 2/3 ›" control for paging between sibling versions of a turn
+ * @param {Object} message - Message with `siblings` and `siblingIndex`
+ * @returns {HTMLElement} Pager element
+ */
+function createBranchPager(message) {
+  const { siblings, siblingIndex } = message;
+
+  const pager = document.createElement('div');
+  pager.className = 'branch-pager';
+
+  const prevBtn = document.createElement('button');
+  prevBtn.className = 'feedback-btn';
+  prevBtn.textContent = '‹';
+  prevBtn.title = 'Previous version';
+  prevBtn.disabled = siblingIndex === 0;
+  prevBtn.onclick = () => selectBranch(siblings[siblingIndex - 1]);
+
+  const label = document.createElement('span');
+  label.className = 'branch-label';
+  label.textContent = `${siblingIndex + 1}/${siblings.length}`;
+
+  const nextBtn = document.createElement('button');
+  nextBtn.className = 'feedback-btn';
+  nextBtn.textContent = '›';
+  nextBtn.title = 'Next version';
+  nextBtn.disabled = siblingIndex === siblings.length - 1;
+  nextBtn.onclick = () => selectBranch(siblings[siblingIndex + 1]);
+
+  pager.appendChild(prevBtn);
+  pager.appendChild(label);
+  pager.appendChild(nextBtn);
+  return pager;
+}
+
+/**
+ * Switch to another version of a turn
+ * The subscription re-renders with the branch continuing from that version
+ */
+async function selectBranch(messageId) {
+  if (isGenerating || !messageId || offlineMode) return;
+
+  try {
+    await selectMessageBranch(currentChatId, messageId);
+  } catch (err) {
+    console.error('[App] Failed to switch version:', err);
+  }
+}
+
+/**
+ * Show a response's speed, with the full performance stats on hover
+ * @param {Object} stats - Message stats (see telemetry.js)
+ * @returns {HTMLElement}
+ */
+function createStatsElement(stats) {
+  const el = document.createElement('span');
+  el.className = 'message-stats';
+  el.textContent = formatStatsSummary(stats);
+  el.title = formatStatsDetail(stats);
+  return el;
+}
+
+/**
+ * Create the button that pins a message so it always stays in context
+ * @param {Object} message - Saved message
+ * @returns {HTMLElement}
+ */
+function createPinButton(message) {
+  const pinBtn = document.createElement('button');
+  pinBtn.className = `feedback-btn pin-btn ${message.pinned ? 'active' : ''}`;
+  pinBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+    <path d="M12 17v5M9 10.76V4h6v6.76l3 3.24v2H6v-2l3-3.24z"/>
+  </svg>`;
+  pinBtn.title = message.pinned ? 'Unpin message' : 'Pin message (always keep it in context)';
+  pinBtn.onclick = () => togglePinned(message, pinBtn);
+  return pinBtn;
+}
+
+async function togglePinned(message, pinBtn) {
+  const pinned = !message.pinned;
+  message.pinned = pinned;
+  pinBtn.classList.toggle('active', pinned);
+  pinBtn.title = pinned ? 'Unpin message' : 'Pin message (always keep it in context)';
+
+  try {
+    if (!offlineMode) await updateMessagePinned(currentChatId, message.id, pinned);
+  } catch (err) {
+    console.error('[App] Failed to pin message:', err);
+    // Revert UI on error
+    message.pinned = !pinned;
+    pinBtn.classList.toggle('active', !pinned);
+  }
+}
+
+/**
+ * Handle feedback button click
+ */
+async function handleFeedback(messageId, feedbackType, upBtn, downBtn) {
+  // Toggle feedback - if already selected, clear it
+  const currentFeedback = upBtn.classList.contains('active') ? 'up' :
+    downBtn.classList.contains('active') ? 'down' : null;
+
+  const newFeedback = currentFeedback === feedbackType ? null : feedbackType;
+
+  // Update UI immediately
+  upBtn.classList.toggle('active', newFeedback === 'up');
+  downBtn.classList.toggle('active', newFeedback === 'down');
+
+  // Save to Firestore
+  try {
+    if (!offlineMode) await updateMessageFeedback(currentChatId, messageId, newFeedback);
+  } catch (err) {
+    console.error('[App] Failed to save feedback:', err);
+    // Revert UI on error
+    upBtn.classList.toggle('active', currentFeedback === 'up');
+    downBtn.classList.toggle('active', currentFeedback === 'down');
+  }
+}
+
+function formatMessageContent(content) {
+  // Escape HTML first
+  let formatted = escapeHtml(content);
+
+  // Convert code blocks
+  formatted = formatted.replace(/```(\w*)\n?([\s\S]*?)```/g, '<pre><code>$2</code></pre>');
+
+  // Convert inline code
+  formatted = formatted.replace(/`([^`]+)`/g, '<code>$1</code>');
+
+  // Convert line breaks
+  formatted = formatted.replace(/\n/g, '<br>');
+
+  return formatted;
+}
+
+/**
+ * Render a model comparison as columns, one per model
+ * @param {Object} message - Active response, with the whole run in `comparison`
+ * @returns {HTMLElement} Message element
+ */
+function createComparisonElement(message) {
+  const div = document.createElement('div');
+  div.className = 'message assistant comparison';
+  if (message.id) {
+    div.dataset.messageId = message.id;
+  }
+
+  const avatar = document.createElement('div');
+  avatar.className = 'message-avatar';
+  avatar.textContent = 'AI';
+
+  const contentWrapper = document.createElement('div');
+  contentWrapper.className = 'message-content-wrapper';
+
+  const grid = document.createElement('div');
+  grid.className = 'comparison-grid';
+  message.comparison.forEach(response => {
+    const isActive = response === message || (response.id && response.id === message.id);
+    grid.appendChild(createComparisonColumn(response, isActive));
+  });
+  contentWrapper.appendChild(grid);
+
+  // Versions of this turn from outside the comparison (e.g. regenerated)
+  if (message.id && message.siblings?.length > message.comparison.length) {
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'message-feedback has-branches';
+    actionsDiv.appendChild(createBranchPager(message));
+    contentWrapper.appendChild(actionsDiv);
+  }
+
+  div.appendChild(avatar);
+  div.appendChild(contentWrapper);
+  return div;
+}
+
+/**
+ * Create one model's column in a comparison
+ * @param {Object} response - Assistant message
+ * @param {boolean} isActive - Whether the conversation continues from this answer
+ * @returns {HTMLElement} Column element
+ */
+function createComparisonColumn(response, isActive) {
+  const column = document.createElement('div');
+  column.className = `comparison-column ${isActive ? 'active' : ''}`;
+
+  const header = document.createElement('div');
+  header.className = 'comparison-header';
+  header.innerHTML = `
+    <span class="comparison-model">${escapeHtml(getModel(response.modelId)?.name || response.modelId || 'Unknown model')}</span>
+    <span class="comparison-timing">${escapeHtml(formatTiming(response.timing))}</span>
+  `;
+  if (response.stats) {
+    header.querySelector('.comparison-timing').title = formatStatsDetail(response.stats);
+  }
+  column.appendChild(header);
+
+  if (response.reasoning) {
+    column.appendChild(createReasoningElement(response.reasoning));
+  }
+
+  const content = document.createElement('div');
+  content.className = 'message-content';
+  renderMessageBody(content, response);
+  column.appendChild(content);
+
+  if (response.validationErrors?.length > 0) {
+    column.appendChild(createValidationNotice(response));
+  }
+
+  if (response.truncated) {
+    const truncatedNote = document.createElement('div');
+    truncatedNote.className = 'message-truncated';
+    truncatedNote.textContent = 'Response stopped';
+    column.appendChild(truncatedNote);
+  }
+
+  if (response.id) {
+    const feedbackDiv = document.createElement('div');
+    feedbackDiv.className = 'message-feedback';
+
+    const thumbsUp = document.createElement('button');
+    thumbsUp.className = `feedback-btn ${response.feedback === 'up' ? 'active' : ''}`;
+    thumbsUp.dataset.feedback = 'up';
+    thumbsUp.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+      <path d="M14 9V5a3 3 0 0 0-3-3l-4 9v11h11.28a2 2 0 0 0 2-1.7l1.38-9a2 2 0 0 0-2-2.3zM7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3"/>
+    </svg>`;
+    thumbsUp.title = 'Preferred answer';
+    thumbsUp.onclick = () => handleFeedback(response.id, 'up', thumbsUp, thumbsDown);
+
+    const thumbsDown = document.createElement('button');
+    thumbsDown.className = `feedback-btn ${response.feedback === 'down' ? 'active' : ''}`;
+    thumbsDown.dataset.feedback = 'down';
+    thumbsDown.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+      <path d="M10 15v4a3 3 0 0 0 3 3l4-9V2H5.72a2 2 0 0 0-2 1.7l-1.38 9a2 2 0 0 0 2 2.3zm7-13h2.67A2.31 2.31 0 0 1 22 4v7a2.31 2.31 0 0 1-2.33 2H17"/>
+    </svg>`;
+    thumbsDown.title = 'Poor answer';
+    thumbsDown.onclick = () => handleFeedback(response.id, 'down', thumbsUp, thumbsDown);
+
+    feedbackDiv.appendChild(thumbsUp);
+    feedbackDiv.appendChild(thumbsDown);
+
+    if (!isActive) {
+      const continueBtn = document.createElement('button');
+      continueBtn.className = 'feedback-btn comparison-continue';
+      continueBtn.textContent = 'Continue with this';
+      continueBtn.title = 'Continue the conversation from this answer';
+      continueBtn.classList.add('generation-action');
+      continueBtn.disabled = isGenerating;
+      continueBtn.onclick = () => selectBranch(response.id);
+      feedbackDiv.appendChild(continueBtn);
+    }
+
+    column.appendChild(feedbackDiv);
+  }
+
+  return column;
+}
+
+/**
+ * Format a comparison response's timing for display
+ * @param {Object|null} timing - { loadMs, generateMs }
+ * @returns {string}
+ */
+function formatTiming(timing) {
+  if (!timing) return 'Generating...';
+  const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+  const parts = [];
+  if (timing.loadMs > 0) parts.push(`load ${seconds(timing.loadMs)}`);
+  parts.push(`answer ${seconds(timing.generateMs)}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Fill a message bubble: JSON-mode answers as a tree, everything else as text
+ * @param {HTMLElement} contentEl - Message content element
+ * @param {Object} message - Message
+ */
+function renderMessageBody(contentEl, message) {
+  if (message.toolCall) {
+    // The call itself is shown on the tool result card below
+    const text = stripToolCall(message.content);
+    contentEl.innerHTML = text
+      ? formatMessageContent(text)
+      : `<span class="tool-calling">Using ${escapeHtml(message.toolCall.name)}...</span>`;
+    return;
+  }
+
+  if (message.format === 'json') {
+    try {
+      const value = JSON.parse(message.content);
+      contentEl.classList.add('json-content');
+      contentEl.appendChild(createJsonTree(value));
+      return;
+    } catch (e) {
+      // Not parseable; show the raw text (the validation notice explains why)
+    }
+  }
+  contentEl.innerHTML = formatMessageContent(message.content);
+
+  if (message.sources?.length > 0) {
+    linkCitations(contentEl, message.sources);
+  }
+}
+
+/**
+ * Thumbnails of a message's images, loaded from this device
+ * @param {Array} images - Image references { id, name, width, height }
+ * @returns {HTMLElement}
+ */
+function createImagesElement(images) {
+  const container = document.createElement('div');
+  container.className = 'message-images';
+
+  images.forEach(ref => {
+    const img = document.createElement('img');
+    img.className = 'message-image';
+    img.alt = ref.name;
+    img.title = `${ref.name} · ${ref.width}×${ref.height}`;
+    container.appendChild(img);
+
+    getImageUrl(ref.id).then(url => {
+      if (url) {
+        img.src = url;
+      } else {
+        img.replaceWith(Object.assign(document.createElement('div'), {
+          className: 'message-image missing',
+          textContent: 'Image not on this device'
+        }));
+      }
+    }).catch(err => console.error('[Images] Failed to load image:', err));
+  });
+
+  return container;
+}
+
+/**
+ * Turn [n] markers in an answer into links to the cited document chunk
+ * @param {HTMLElement} contentEl - Rendered message content
+ * @param {Array} sources - Message sources { n, chunkId, docName, index }
+ */
+function linkCitations(contentEl, sources) {
+  // Only prose: in code, [n] is usually an array index
+  const walker = document.createTreeWalker(contentEl, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (node.parentElement.closest('pre, code, a')
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT)
+  });
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  textNodes.forEach(node => {
+    const parts = node.textContent.split(/(\[\d+\])/);
+    if (parts.length === 1) return;
+
+    const fragment = document.createDocumentFragment();
+    parts.forEach(part => {
+      const n = part.match(/^\[(\d+)\]$/)?.[1];
+      if (n && sources.some(source => source.n === Number(n))) {
+        const link = Object.assign(document.createElement('a'), { href: '#', className: 'citation', textContent: part });
+        link.dataset.source = n;
+        fragment.appendChild(link);
+      } else if (part) {
+        fragment.appendChild(document.createTextNode(part));
+      }
+    });
+    node.replaceWith(fragment);
+  });
+
+  contentEl.addEventListener('click', (e) => {
+    const link = e.target.closest('.citation');
+    if (!link) return;
+    e.preventDefault();
+    openSource(sources.find(source => source.n === Number(link.dataset.source)));
+  });
+}
+
+/**
+ * List the document chunks a response was given
+ * @param {Array} sources - Message sources
+ * @returns {HTMLElement}
+ */
+function createSourcesElement(sources) {
+  const list = document.createElement('div');
+  list.className = 'message-sources';
+
+  sources.forEach(source => {
+    const chip = document.createElement('button');
+    chip.className = 'source-chip';
+    chip.textContent = `[${source.n}] ${source.docName} · part ${source.index + 1}`;
+    chip.title = 'Show source excerpt';
+    chip.onclick = () => openSource(source);
+    list.appendChild(chip);
+  });
+
+  return list;
+}
+
+/**
+ * Render a tool result as an expandable card showing the call and its result
+ * @param {Object} message - Tool message
+ * @returns {HTMLElement} Message element
+ */
+function createToolMessageElement(message) {
+  const div = document.createElement('div');
+  div.className = 'message tool';
+  if (message.id) {
+    div.dataset.messageId = message.id;
+  }
+
+  const avatar = document.createElement('div');
+  avatar.className = 'message-avatar';
+  avatar.textContent = 'fx';
+
+  const card = document.createElement('details');
+  card.className = `tool-card ${message.isError ? 'error' : ''}`;
+
+  const name = message.toolCall?.name || 'tool';
+  const summary = document.createElement('summary');
+  summary.textContent = message.isError ? `${name} failed` : `Used ${name}`;
+
+  const body = document.createElement('div');
+  body.className = 'tool-card-body';
+  body.innerHTML = `
+    <div class="tool-card-label">Arguments</div>
+    <pre><code>${escapeHtml(JSON.stringify(message.toolCall?.arguments || {}, null, 2))}</code></pre>
+    <div class="tool-card-label">${message.isError ? 'Error' : 'Result'}</div>
+    <pre><code>${escapeHtml(prettyJson(message.content))}</code></pre>
+  `;
+
+  card.appendChild(summary);
+  card.appendChild(body);
+
+  div.appendChild(avatar);
+  div.appendChild(card);
+  return div;
+}
+
+function prettyJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Create a collapsible tree for a JSON value
+ * @param {*} value - Parsed JSON value
+ * @param {string|number|null} key - Property name or array index (null at the root)
+ * @returns {HTMLElement}
+ */
+function createJsonTree(value, key = null) {
+  const keyEl = () => {
+    const el = document.createElement('span');
+    el.className = 'json-key';
+    el.textContent = typeof key === 'number' ? `${key}:` : `"${key}":`;
+    return el;
+  };
+
+  if (value === null || typeof value !== 'object') {
+    const row = document.createElement('div');
+    row.className = 'json-row';
+    if (key !== null) row.appendChild(keyEl());
+
+    const valueEl = document.createElement('span');
+    valueEl.className = `json-value json-${value === null ? 'null' : typeof value}`;
+    valueEl.textContent = JSON.stringify(value);
+    row.appendChild(valueEl);
+    return row;
+  }
+
+  const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+
+  const details = document.createElement('details');
+  details.className = 'json-node';
+  details.open = true;
+
+  const summary = document.createElement('summary');
+  if (key !== null) summary.appendChild(keyEl());
+  const count = document.createElement('span');
+  count.className = 'json-count';
+  count.textContent = Array.isArray(value) ? `[ ${entries.length} ]` : `{ ${entries.length} }`;
+  summary.appendChild(count);
+
+  const children = document.createElement('div');
+  children.className = 'json-children';
+  entries.forEach(([childKey, child]) => children.appendChild(createJsonTree(child, childKey)));
+
+  details.appendChild(summary);
+  details.appendChild(children);
+  return details;
+}
+
+/**
+ * Flag a JSON-mode answer that failed validation, with a one-click retry
+ * @param {Object} message - Assistant message with validationErrors
+ * @returns {HTMLElement}
+ */
+function createValidationNotice(message) {
+  const notice = document.createElement('div');
+  notice.className = 'message-invalid';
+
+  const text = document.createElement('div');
+  text.className = 'message-invalid-text';
+  text.textContent = `Invalid output: ${message.validationErrors.join('; ')}`;
+  notice.appendChild(text);
+
+  if (message.id && message.parentId) {
+    const retryBtn = document.createElement('button');
+    retryBtn.className = 'settings-btn';
+    retryBtn.textContent = 'Retry';
+    retryBtn.classList.add('generation-action');
+    retryBtn.disabled = isGenerating;
+    retryBtn.onclick = () => regenerateResponse(message);
+    notice.appendChild(retryBtn);
+  }
+
+  return notice;
+}
+
+/**
+ * Create the collapsible "Reasoning" section for a message
+ * @param {string} reasoning - Reasoning text
+ * @param {boolean} isThinking - Whether the model is still reasoning (streaming)
+ * @returns {HTMLElement} Details element
+ */
+function createReasoningElement(reasoning, isThinking = false) {
+  const details = document.createElement('details');
+  details.className = 'message-reasoning';
+  details.open = isThinking;
+
+  const summary = document.createElement('summary');
+  summary.textContent = isThinking ? 'Thinking...' : 'Reasoning';
+
+  const body = document.createElement('div');
+  body.className = 'message-reasoning-content';
+  body.innerHTML = formatMessageContent(reasoning);
+
+  details.appendChild(summary);
+  details.appendChild(body);
+  return details;
+}
+
+function updateLastMessage(content, reasoning = '', isThinking = false) {
+  let lastMessage = elements.chatContainer.querySelector('.message:last-child');
+  if (!lastMessage) return;
+
+  // In a comparison the streaming answer is the last column
+  lastMessage = lastMessage.querySelector('.comparison-column:last-child') || lastMessage;
+
+  const contentEl = lastMessage.querySelector('.message-content');
+  if (contentEl) {
+    contentEl.innerHTML = formatMessageContent(content);
+  }
+
+  if (reasoning) {
+    const existing = lastMessage.querySelector('.message-reasoning');
+    if (existing) {
+      // Update in place so a user-toggled open/closed state is kept
+      existing.querySelector('summary').textContent = isThinking ? 'Thinking...' : 'Reasoning';
+      existing.querySelector('.message-reasoning-content').innerHTML = formatMessageContent(reasoning);
+    } else if (contentEl) {
+      contentEl.before(createReasoningElement(reasoning, isThinking));
+    }
+  }
+}
+
+function showTypingIndicator() {
+  const indicator = document.createElement('div');
+  indicator.className = 'message assistant';
+  indicator.id = 'typingIndicator';
+  indicator.innerHTML = `
+    <div class="message-avatar">AI</div>
+    <div class="message-content typing-indicator">
+      <span></span><span></span><span></span>
+    </div>
+  `;
+  elements.chatContainer.appendChild(indicator);
+  scrollToBottom();
+}
+
+function hideTypingIndicator() {
+  const indicator = document.getElementById('typingIndicator');
+  if (indicator) {
+    indicator.remove();
+  }
+}
+
+/**
+ * Tell the user that older messages were summarized or left out
+ * @param {string} text - Notice text
+ */
+function showSummaryNotice(text) {
+  // Remove existing notice
+  const existing = elements.chatContainer.querySelector('.summary-notice');
+  if (existing) existing.remove();
+
+  const notice = document.createElement('div');
+  notice.className = 'summary-notice';
+  notice.textContent = text;
+  elements.chatContainer.insertBefore(notice, elements.chatContainer.firstChild);
+}
+
+function renderChatList(chats) {
+  elements.chatList.innerHTML = '';
+
+  chats.forEach(chat => {
+    const item = document.createElement('div');
+    item.className = `chat-list-item ${chat.id === currentChatId ? 'active' : ''}`;
+    item.dataset.chatId = chat.id;
+
+    const time = chat.updatedAt || new Date();
+    const timeStr = formatTime(time);
+    const persona = userPersonas.find(p => p.id === chat.personaId);
+
+    item.innerHTML = `
+      <div class="chat-list-item-content">
+        <div class="chat-list-item-title">${persona ? `${escapeHtml(persona.icon)} ` : ''}${escapeHtml(chat.title || 'New Chat')}</div>
+        <div class="chat-list-item-preview">${chat.messageCount || 0} messages</div>
+      </div>
+      <span class="chat-list-item-time">${timeStr}</span>
+    `;
+
+    elements.chatList.appendChild(item);
+  });
+
+  // Setup event delegation (only once)
+  if (!chatListClickHandler) {
+    chatListClickHandler = (e) => {
+      const item = e.target.closest('.chat-list-item');
+      if (item && item.dataset.chatId) {
+        loadChat(item.dataset.chatId);
+      }
+    };
+    elements.chatList.addEventListener('click', chatListClickHandler);
+  }
+}
+
+function formatTime(date) {
+  const now = new Date();
+  const diff = now - date;
+
+  if (diff < 60000) return 'now';
+  if (diff < 3600000) return Math.floor(diff / 60000) + 'm';
+  if (diff < 86400000) return Math.floor(diff / 3600000) + 'h';
+  return date.toLocaleDateString();
+}
+
+function scrollToBottom() {
+  elements.chatContainer.scrollTop = elements.chatContainer.scrollHeight;
+}
+
+// ============================================================================
+// Status & Progress
+// ============================================================================
+
+function updateStatus(state, text) {
+  elements.statusDot.className = `status-dot ${state}`;
+  elements.statusText.textContent = text;
+}
+
+function showProgress(show) {
+  elements.progressContainer.style.display = show ? 'block' : 'none';
+}
+
+function updateProgress(percent) {
+  elements.progressFill.style.width = `${percent}%`;
+}
+
+function updateTokenDisplay() {
+  const status = contextManager.getStatus(messagesForModel(messages));
+  elements.tokenCount.textContent = `Tokens: ${status.exact ? '' : '~'}${status.current} / ${status.max}`;
+  elements.tokenCount.title = status.exact ? 'Counted with the model\'s tokenizer' : 'Estimated until the model is loaded';
+
+  if (status.isNearLimit) {
+    elements.tokenCount.classList.add('token-warning');
+    elements.contextStatus.textContent = 'Context nearly full';
+  } else if (status.needsSummarization) {
+    elements.tokenCount.classList.remove('token-warning');
+    elements.contextStatus.textContent = 'Will summarize soon';
+  } else {
+    elements.tokenCount.classList.remove('token-warning');
+    elements.contextStatus.textContent = '';
+  }
+}
+
+// ============================================================================
+// Sidebar & Settings
+// ============================================================================
+
+function openSidebar() {
+  elements.sidebar.classList.add('open');
+  elements.overlay.classList.add('visible');
+}
+
+function closeSidebar() {
+  elements.sidebar.classList.remove('open');
+  elements.overlay.classList.remove('visible');
+}
+
+function openSettings() {
+  elements.settingsPanel.classList.add('open');
+  elements.overlay.classList.add('visible');
+}
+
+function closeSettings() {
+  elements.settingsPanel.classList.remove('open');
+  elements.overlay.classList.remove('visible');
+}
+
+function openChatSettings() {
+  renderChatSettingsForm(chatSettings);
+  elements.chatSettingsPanel.classList.add('open');
+  elements.overlay.classList.add('visible');
+}
+
+function closeChatSettings() {
+  elements.chatSettingsPanel.classList.remove('open');
+  elements.overlay.classList.remove('visible');
+}
+
+function toggleTheme() {
+  const currentTheme = document.documentElement.getAttribute('data-theme');
+  const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+  document.documentElement.setAttribute('data-theme', newTheme);
+  localStorage.setItem('theme', newTheme);
+}
+
+async function exportChat() {
+  const chat = offlineMode ? null : await getChat(currentChatId);
+  const exportData = exportConversation(messages, {
+    chatTitle: chat?.title,
+    model: currentModelId
+  });
+
+  const blob = new Blob([exportData], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `chat-export-${new Date().toISOString().slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+async function clearCurrentChat() {
+  if (!confirm('Clear all messages in this chat?')) return;
+
+  const chatId = currentChatId;
+  messageQueue = messageQueue.filter(item => item.chatId !== chatId);
+  await removeChatDocuments(chatId);
+  await removeChatImages(chatId);
+  if (!offlineMode) await deleteChat(chatId);
+  await createNewChat();
+  closeSettings();
+}
+
+async function deleteAllData() {
+  if (offlineMode) {
+    alert('Reconnect and reload to delete your synced data.');
+    return;
+  }
+  if (!confirm('Delete ALL your data? This cannot be undone.')) return;
+  if (!confirm('Are you sure? All chats will be permanently deleted.')) return;
+
+  await deleteAllUserData();
+  await clearDocuments();
+  await clearImages();
+  userMemories = [];
+  memorySuggestions = [];
+  messageQueue = [];
+  userPrompts = [];
+  promptLibrary = buildLibrary([]);
+  renderPrompts();
+  userPersonas = [];
+  renderPersonas();
+  renderMemories();
+  renderMemorySuggestions();
+  await createNewChat();
+  closeSettings();
+}
+
+// ============================================================================
+// Cached Models Management
+// ============================================================================
+
+/**
+ * Get all cached model caches from the browser
+ * web-llm uses Cache API with cache names containing model IDs
+ */
+async function getCachedModels() {
+  try {
+    const cacheNames = await caches.keys();
+    // Filter for web-llm model caches (they typically contain 'webllm' or model patterns)
+    const modelCaches = cacheNames.filter(name =>
+      name.includes('webllm') ||
+      getModels().some(model => name.includes(model.id))
+    );
+
+    const modelsWithSize = await Promise.all(modelCaches.map(async (cacheName) => {
+      try {
+        const cache = await caches.open(cacheName);
+        const keys = await cache.keys();
+        let totalSize = 0;
+
+        // Estimate size from cache entries
+        for (const request of keys) {
+          try {
+            const response = await cache.match(request);
+            if (response) {
+              // Prefer Content-Length header to avoid blob creation
+              const contentLength = response.headers.get('Content-Length');
+              if (contentLength) {
+                totalSize += parseInt(contentLength, 10);
+              } else {
+                const blob = await response.clone().blob();
+                totalSize += blob.size;
+              }
+            }
+          } catch (e) {
+            // Skip entries that can't be read
+          }
+        }
+
+        // Extract model name from cache name
+        let displayName = cacheName;
+        for (const model of getModels()) {
+          if (cacheName.includes(model.id)) {
+            displayName = model.name;
+            break;
+          }
+        }
+
+        return {
+          cacheName,
+          displayName,
+          size: totalSize,
+          entryCount: keys.length
+        };
+      } catch (e) {
+        return {
+          cacheName,
+          displayName: cacheName,
+          size: 0,
+          entryCount: 0
+        };
+      }
+    }));
+
+    return modelsWithSize.filter(m => m.entryCount > 0);
+  } catch (error) {
+    console.error('[Cache] Error getting cached models:', error);
+    return [];
+  }
+}
+
+/**
+ * Format bytes to human readable string
+ */
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+/**
+ * Render the cached models list in settings
+ */
+async function renderCachedModels() {
+  elements.cachedModelsContainer.innerHTML = '<div class="cached-models-loading">Loading...</div>';
+
+  const models = await getCachedModels();
+
+  if (models.length === 0) {
+    elements.cachedModelsContainer.innerHTML = '<div class="cached-models-empty">No cached models</div>';
+    return;
+  }
+
+  elements.cachedModelsContainer.innerHTML = models.map(model => `
+    <div class="cached-model-item" data-cache-name="${escapeHtml(model.cacheName)}">
+      <div class="cached-model-info">
+        <div class="cached-model-name">${escapeHtml(model.displayName)}</div>
+        <div class="cached-model-size">${formatBytes(model.size)}</div>
+      </div>
+      <button class="cached-model-delete" title="Delete this model">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+        </svg>
+      </button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Delete a specific cached model
+ */
+async function deleteCachedModel(cacheName) {
+  const modelName = getModels().find(m => cacheName.includes(m.id))?.name || cacheName;
 
-    const thumbsDown = document.createElement('button');
-    thumbsDown.className = `feedback-btn ${message.feedback === 'down' ? 'active' : ''}`;
-    thumbsDown.dataset.feedback = 'down';
-    thumbsDown.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
-      <path d="M10 15v4a3 3 0 0 0 3 3l4-9V2H5.72a2 2 0 0 0-2 1.7l-1.38 9a2 2 0 0 0 2 2.3zm7-13h2.67A2.31 2.31 0 0 1 22 4v7a2.31 2.31 0 0 1-2.33 2H17"/>
-    </svg>`;
-    thumbsDown.title = 'Poor response';
-    thumbsDown.onclick = () => handleFeedback(message.id, 'down', thumbsUp, thumbsDown);
+  if (!confirm(`Delete cached model "${modelName}"?`)) return;
+
+  try {
+    await caches.delete(cacheName);
+    log('[Cache] Deleted cache:', cacheName);
+    await renderCachedModels();
+  } catch (error) {
+    console.error('[Cache] Error deleting cache:', error);
+    alert('Failed to delete cached model');
+  }
+}
+
+/**
+ * Clear all cached models
+ */
+async function clearAllCachedModels() {
+  if (!confirm('Delete ALL cached models? You will need to re-download them.')) return;
+
+  try {
+    const cacheNames = await caches.keys();
+    const modelCaches = cacheNames.filter(name =>
+      name.includes('webllm') ||
+      getModels().some(model => name.includes(model.id))
+    );
+
+    await Promise.all(modelCaches.map(name => caches.delete(name)));
+    log('[Cache] Cleared all model caches');
+    await renderCachedModels();
+    renderModelDownloads();
+  } catch (error) {
+    console.error('[Cache] Error clearing caches:', error);
+    alert('Failed to clear cached models');
+  }
+}
+
+// ============================================================================
+// Model Downloads
+// ============================================================================
+
+/**
+ * Render the download manager list and refresh each model's cache status
+ */
+function renderModelDownloads() {
+  elements.modelDownloadsContainer.innerHTML = getModels().map(model =>
+    downloadItemHtml(model, downloadManager.getState(model.id))
+  ).join('');
+
+  getModels().forEach(model => downloadManager.check(model.id));
+}
+
+/**
+ * Re-render one model's row when its download state changes
+ */
+function renderDownloadItem(modelId, state) {
+  const model = getModel(modelId);
+  const item = elements.modelDownloadsContainer.querySelector(`[data-model-id="${CSS.escape(modelId)}"]`);
+  if (!model || !item) return;
+
+  item.outerHTML = downloadItemHtml(model, state);
+}
+
+function downloadItemHtml(model, state) {
+  const percent = state.totalBytes > 0
+    ? Math.min(100, Math.round((state.loadedBytes / state.totalBytes) * 100))
+    : 0;
+
+  let statusText = 'Not downloaded';
+  let action = { name: 'download', label: 'Download' };
+  switch (state.status) {
+    case DOWNLOAD_STATUS.CHECKING:
+      statusText = 'Checking...';
+      action = null;
+      break;
+    case DOWNLOAD_STATUS.DOWNLOADING:
+      statusText = state.totalBytes > 0
+        ? `${formatBytes(state.loadedBytes)} / ${formatBytes(state.totalBytes)} (${percent}%)`
+        : 'Starting...';
+      action = { name: 'cancel', label: 'Cancel' };
+      break;
+    case DOWNLOAD_STATUS.PARTIAL:
+      statusText = `Partial: ${state.filesDone}/${state.filesTotal} files · ${formatBytes(state.totalBytes)}`;
+      action = { name: 'download', label: 'Resume' };
+      break;
+    case DOWNLOAD_STATUS.COMPLETE:
+      statusText = `Downloaded · ${formatBytes(state.totalBytes)}`;
+      action = { name: 'verify', label: 'Verify' };
+      break;
+    case DOWNLOAD_STATUS.ERROR:
+      statusText = `Failed: ${state.error}`;
+      action = { name: 'download', label: 'Retry' };
+      break;
+  }
+
+  const showProgress = state.status === DOWNLOAD_STATUS.DOWNLOADING || state.status === DOWNLOAD_STATUS.PARTIAL;
+
+  return `
+    <div class="cached-model-item download-item" data-model-id="${escapeHtml(model.id)}" data-status="${state.status}">
+      <div class="cached-model-info">
+        <div class="cached-model-name">${escapeHtml(model.name)}</div>
+        <div class="cached-model-size">${escapeHtml(statusText)}</div>
+        ${showProgress ? `<div class="download-progress"><div class="download-progress-fill" style="width: ${percent}%"></div></div>` : ''}
+      </div>
+      ${action ? `<button class="settings-btn download-action" data-action="${action.name}">${action.label}</button>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Handle Download / Cancel / Resume / Retry / Verify buttons
+ */
+async function handleDownloadAction(modelId, action) {
+  if (action === 'cancel') {
+    downloadManager.cancel(modelId);
+    return;
+  }
+
+  if (action === 'verify') {
+    const state = await downloadManager.check(modelId, { verifySize: true });
+    if (state.status !== DOWNLOAD_STATUS.COMPLETE) {
+      alert(`${getModel(modelId)?.name || modelId} is incomplete: ${state.filesTotal - state.filesDone} files missing. Use Resume to fetch them.`);
+    }
+    return;
+  }
+
+  if (action === 'download') {
+    if (getCompatibility(modelId).level === COMPATIBILITY.UNSUPPORTED &&
+        !confirm('This model can\'t run on this device. Download it anyway?')) {
+      return;
+    }
+    await downloadManager.download(modelId);
+    renderCachedModels();
+  }
+}
+
+// ============================================================================
+// Documents (local RAG)
+// ============================================================================
+
+/**
+ * Get the embedding engine, loading it in its own worker on first use
+ * It stays loaded next to the chat model so retrieval doesn't force model swaps
+ */
+function getEmbeddingEngine() {
+  if (!embeddingEnginePromise) {
+    embeddingWorker = new Worker(new URL('./llm-worker.js', import.meta.url), { type: 'module' });
+    embeddingEnginePromise = CreateWebWorkerMLCEngine(embeddingWorker, EMBEDDING_MODEL_ID, {
+      appConfig: buildAppConfig(prebuiltAppConfig),
+      initProgressCallback(progress) {
+        updateStatus('loading', `Loading embedding model: ${Math.round(progress.progress * 100)}%`);
+      }
+    }).catch(err => {
+      console.error('[RAG] Failed to load embedding model:', err);
+      embeddingWorker.terminate();
+      embeddingWorker = null;
+      embeddingEnginePromise = null;
+      throw err;
+    });
+  }
+  return embeddingEnginePromise;
+}
+
+/**
+ * Embed texts with the local embedding model
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+async function embedTexts(texts) {
+  const embedder = await getEmbeddingEngine();
+  const response = await embedder.embeddings.create({ input: texts, model: EMBEDDING_MODEL_ID });
+  return response.data.map(item => item.embedding);
+}
+
+/**
+ * Context manager retriever: excerpts from the current chat's documents
+ * @param {string} question - Latest user message
+ * @returns {Promise<Object|null>} { context, sources } or null without documents
+ */
+async function retrieveDocuments(question) {
+  if (!currentChatId || chatDocuments.length === 0) return null;
+
+  updateStatus('loading', 'Searching documents...');
+  const chunks = await searchDocuments(currentChatId, question, embedTexts);
+  if (chunks.length === 0) return null;
+
+  return {
+    context: formatRetrievedContext(chunks),
+    sources: chunks.map((chunk, i) => ({
+      n: i + 1,
+      chunkId: chunk.id,
+      docId: chunk.docId,
+      docName: chunk.docName,
+      index: chunk.index
+    }))
+  };
+}
+
+async function loadChatDocuments() {
+  const chatId = currentChatId;
+  try {
+    const docs = chatId ? await listDocuments(chatId) : [];
+    if (chatId !== currentChatId) return; // Chat changed while loading
+    chatDocuments = docs;
+  } catch (err) {
+    console.error('[RAG] Failed to load documents:', err);
+    chatDocuments = [];
+  }
+  renderDocumentsBar();
+}
+
+function renderDocumentsBar() {
+  const items = [
+    ...chatDocuments.map(doc => `
+      <span class="document-chip" title="${escapeAttribute(doc.name)} · ${doc.chunkCount} parts · ${formatBytes(doc.size)}">
+        <span class="document-name">${escapeHtml(doc.name)}</span>
+        <button class="document-remove" data-doc-id="${escapeHtml(doc.id)}" title="Remove document">&times;</button>
+      </span>
+    `),
+    ...indexingDocuments.map(doc => `
+      <span class="document-chip indexing">
+        <span class="document-name">${escapeHtml(doc.name)}</span>
+        <span class="document-progress">${doc.total ? `${doc.done}/${doc.total}` : 'Reading...'}</span>
+      </span>
+    `)
+  ];
+
+  elements.documentsBar.innerHTML = items.join('');
+  elements.documentsBar.style.display = items.length > 0 ? 'flex' : 'none';
+}
+
+/**
+ * Index uploaded files into the current chat
+ * @param {FileList} files - Files from the picker or a drop
+ */
+async function handleDocumentUpload(files) {
+  if (!currentChatId) return;
+  const chatId = currentChatId;
+
+  for (const file of files) {
+    const error = validateDocument(file);
+    if (error) {
+      alert(error);
+      continue;
+    }
+
+    const entry = { name: file.name, done: 0, total: 0 };
+    indexingDocuments.push(entry);
+    renderDocumentsBar();
+
+    try {
+      await addDocument(chatId, file, embedTexts, (done, total) => {
+        Object.assign(entry, { done, total });
+        renderDocumentsBar();
+      });
+      updateStatus('ready', 'Ready');
+    } catch (err) {
+      console.error('[RAG] Failed to index document:', err);
+      updateStatus('error', 'Document indexing failed');
+      alert(`Could not add ${file.name}: ${err.message}`);
+    } finally {
+      indexingDocuments = indexingDocuments.filter(doc => doc !== entry);
+    }
+
+    if (chatId === currentChatId) {
+      await loadChatDocuments();
+    }
+  }
+}
+
+async function deleteDocument(docId) {
+  const doc = chatDocuments.find(d => d.id === docId);
+  if (!doc || !confirm(`Remove "${doc.name}" from this chat?`)) return;
+
+  try {
+    await removeDocument(docId);
+    await loadChatDocuments();
+  } catch (err) {
+    console.error('[RAG] Failed to remove document:', err);
+    alert('Failed to remove document');
+  }
+}
+
+/**
+ * Show the document excerpt a citation points to
+ * @param {Object} source - Message source { chunkId, docName, index }
+ */
+async function openSource(source) {
+  if (!source) return;
+
+  const chunk = await getChunk(source.chunkId).catch(() => null);
+  if (!chunk) {
+    alert(`"${source.docName}" is not available on this device.`);
+    return;
+  }
+
+  elements.sourceTitle.textContent = `${source.docName} · part ${source.index + 1}`;
+  elements.sourceContent.textContent = chunk.text;
+  elements.sourcePanel.classList.add('open');
+  elements.overlay.classList.add('visible');
+}
+
+function closeSource() {
+  elements.sourcePanel.classList.remove('open');
+  elements.overlay.classList.remove('visible');
+}
+
+// ============================================================================
+// Image Attachments
+// ============================================================================
+
+/**
+ * Route picked or dropped files: images are attached, everything else is indexed
+ * @param {Array<File>} files - Files
+ */
+async function handleFiles(files) {
+  const images = files.filter(isImageFile);
+  const documents = files.filter(file => !isImageFile(file));
+  if (documents.length > 0) handleDocumentUpload(documents);
+  if (images.length > 0) await attachImages(images);
+}
+
+/**
+ * Attach images to the next message, switching to a vision model if needed
+ * Reports its own errors, so callers needn't wait for it
+ * @param {Array<File>} files - Image files
+ */
+async function attachImages(files) {
+  if (!currentChatId) return;
+  const chatId = currentChatId;
+
+  if (!supportsVision(currentModelId)) {
+    const visionModel = getVisionModel();
+    if (!visionModel || isGenerating) {
+      alert('Images need a vision model. Wait for the current response, then switch models.');
+      return;
+    }
+    if (!confirm(`${getModel(currentModelId)?.name || currentModelId} can't see images. Switch to ${visionModel.name}?`)) return;
+    try {
+      if (!await switchModel(visionModel.id)) return;
+    } catch (err) {
+      console.error('[Images] Failed to load vision model:', err);
+      alert(`Could not load ${visionModel.name}: ${err.message}`);
+      return;
+    }
+    elements.modelSelect.value = visionModel.id;
+  }
+
+  for (const file of files) {
+    if (pendingImages.length >= MAX_IMAGES_PER_MESSAGE) {
+      alert(`Only ${MAX_IMAGES_PER_MESSAGE} image per message: each one fills about half of the model's context.`);
+      break;
+    }
+
+    const error = validateImage(file);
+    if (error) {
+      alert(error);
+      continue;
+    }
+
+    try {
+      const ref = await saveImage(chatId, file);
+      if (chatId !== currentChatId) {
+        await removeImage(ref.id);
+        return;
+      }
+      pendingImages.push(ref);
+      renderImageBar();
+    } catch (err) {
+      console.error('[Images] Failed to attach image:', err);
+      alert(`Could not attach ${file.name || 'image'}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Drop attachments that were never sent
+ */
+function discardPendingImages() {
+  pendingImages.forEach(ref => removeImage(ref.id).catch(err => {
+    console.error('[Images] Failed to remove image:', err);
+  }));
+  pendingImages = [];
+  renderImageBar();
+}
+
+function removePendingImage(imageId) {
+  pendingImages = pendingImages.filter(ref => ref.id !== imageId);
+  renderImageBar();
+  removeImage(imageId).catch(err => console.error('[Images] Failed to remove image:', err));
+}
+
+function renderImageBar() {
+  elements.imageBar.innerHTML = pendingImages.map(ref => `
+    <span class="document-chip image-chip" title="${escapeAttribute(ref.name)} · ${ref.width}×${ref.height}">
+      <img class="image-chip-thumb" data-image-id="${escapeHtml(ref.id)}" alt="">
+      <span class="document-name">${escapeHtml(ref.name)}</span>
+      <button class="document-remove" data-image-id="${escapeHtml(ref.id)}" title="Remove image">&times;</button>
+    </span>
+  `).join('');
+  elements.imageBar.style.display = pendingImages.length > 0 ? 'flex' : 'none';
+
+  elements.imageBar.querySelectorAll('.image-chip-thumb').forEach(img => {
+    getImageUrl(img.dataset.imageId).then(url => {
+      if (url) img.src = url;
+    }).catch(err => console.error('[Images] Failed to load image preview:', err));
+  });
+}
+
+// ============================================================================
+// Personas
+// ============================================================================
+
+/**
+ * Load the user's personas from the profile
+ */
+async function loadPersonas() {
+  try {
+    const profile = await getUserProfile();
+    userPersonas = normalizePersonas(profile.personas, id => Boolean(getModel(id)));
+  } catch (err) {
+    console.error('[Personas] Failed to load personas:', err);
+  }
+  renderPersonas();
+}
+
+/**
+ * Save the user's personas to the profile and refresh the UI
+ * @param {Array} personas - Personas
+ */
+async function savePersonas(personas) {
+  await updateUserProfile({ personas });
+  userPersonas = personas;
+  if (currentPersona) {
+    setCurrentPersona(personas.find(p => p.id === currentPersona.id) || null);
+  }
+  renderPersonas();
+}
+
+/**
+ * Make a persona the current chat's and switch to its model
+ * Its prompt and settings were copied into the chat settings when the chat was created
+ * @param {Object|null} persona - Persona, or null for a plain chat
+ */
+function setCurrentPersona(persona) {
+  currentPersona = persona;
+  renderPersonaWelcome();
+  // Not awaited: the chat opens while the model loads
+  if (persona?.modelId) applyPersonaModel(persona.modelId);
+}
+
+/**
+ * Load a persona's preferred model
+ * Errors are reported here, since callers don't wait for the load
+ * @param {string} modelId - Preferred model
+ */
+async function applyPersonaModel(modelId) {
+  if (modelId === currentModelId || !getModel(modelId) || declinedPersonaModels.has(modelId)) return;
+  // Never swap the engine out from under a response or another load
+  if (isGenerating || modelLoading) return;
+
+  // Before the first model load, just pick the model init() will load
+  if (!engine) {
+    if (getCompatibility(modelId).level === COMPATIBILITY.UNSUPPORTED) return;
+    currentModelId = modelId;
+    localStorage.setItem(MODEL_STORAGE_KEY, modelId);
+    contextManager.setModel(modelId);
+    elements.modelSelect.value = modelId;
+    return;
+  }
+
+  log('[Personas] Switching to persona model:', modelId);
+  try {
+    if (await switchModel(modelId)) {
+      elements.modelSelect.value = modelId;
+    } else {
+      // Ask about an incompatible model once, not on every chat that uses it
+      declinedPersonaModels.add(modelId);
+    }
+  } catch (err) {
+    console.error('[Personas] Failed to load persona model:', err);
+  }
+}
+
+/**
+ * New chat button: pick a persona when there are any
+ */
+function handleNewChatClick() {
+  if (userPersonas.length === 0) {
+    createNewChat();
+    return;
+  }
+
+  const open = elements.personaMenu.style.display !== 'none';
+  elements.personaMenu.innerHTML = `
+    <div class="persona-menu-item" data-persona-id="">
+      <span class="persona-icon">💬</span><span>Blank chat</span>
+    </div>
+    ${userPersonas.map(persona => `
+      <div class="persona-menu-item" data-persona-id="${escapeHtml(persona.id)}">
+        <span class="persona-icon">${escapeHtml(persona.icon)}</span><span>${escapeHtml(persona.name)}</span>
+      </div>
+    `).join('')}
+  `;
+  elements.personaMenu.style.display = open ? 'none' : 'block';
+}
+
+/**
+ * Show the persona and its starter messages in an empty chat
+ */
+function renderPersonaWelcome() {
+  const persona = currentPersona;
+  if (!persona) {
+    elements.personaWelcome.style.display = 'none';
+    elements.personaWelcome.innerHTML = '';
+    return;
+  }
+
+  elements.personaWelcome.innerHTML = `
+    <div class="persona-welcome-name">${escapeHtml(persona.icon)} ${escapeHtml(persona.name)}</div>
+    <div class="persona-starters">
+      ${persona.starters.map((text, i) => `
+        <button class="persona-starter" data-index="${i}">${escapeHtml(text)}</button>
+      `).join('')}
+    </div>
+  `;
+  elements.personaWelcome.style.display = 'block';
+}
+
+function sendStarter(index) {
+  const text = currentPersona?.starters[index];
+  if (!text) return;
+  elements.messageInput.value = text;
+  sendMessage();
+}
+
+function renderPersonas() {
+  const select = elements.personaForm.elements.modelId;
+  const selected = select.value;
+  select.innerHTML = '<option value="">Keep the current model</option>' +
+    getModels().map(model => `<option value="${escapeHtml(model.id)}">${escapeHtml(model.name)}</option>`).join('');
+  select.value = getModel(selected) ? selected : '';
+
+  if (userPersonas.length === 0) {
+    elements.personasContainer.innerHTML = '<div class="cached-models-empty">No personas</div>';
+    return;
+  }
+
+  elements.personasContainer.innerHTML = userPersonas.map(persona => `
+    <div class="cached-model-item">
+      <div class="cached-model-info">
+        <div class="cached-model-name">${escapeHtml(persona.icon)} ${escapeHtml(persona.name)}</div>
+        <div class="cached-model-size">${escapeHtml(getModel(persona.modelId)?.name || 'Current model')} · ${persona.starters.length} starters</div>
+      </div>
+      <button class="memory-edit persona-edit" data-persona-id="${escapeHtml(persona.id)}" title="Edit persona">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+          <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
+        </svg>
+      </button>
+      <button class="cached-model-delete persona-delete" data-persona-id="${escapeHtml(persona.id)}" title="Delete persona">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+        </svg>
+      </button>
+    </div>
+  `).join('');
+}
 
-    feedbackDiv.appendChild(thumbsUp);
-    feedbackDiv.appendChild(thumbsDown);
-    contentWrapper.appendChild(feedbackDiv);
+async function addPersona(e) {
+  e.preventDefault();
+  const fields = elements.personaForm.elements;
+
+  const { persona, error } = validatePersona({
+    id: fields.personaId.value,
+    name: fields.name.value,
+    icon: fields.icon.value,
+    systemPrompt: fields.systemPrompt.value,
+    modelId: fields.modelId.value,
+    settings: {
+      temperature: fields.temperature.value,
+      maxTokens: fields.maxTokens.value
+    },
+    starters: fields.starters.value.split('\n')
+  }, id => Boolean(getModel(id)));
+
+  if (error) {
+    elements.personaError.textContent = error;
+    return;
   }
 
-  div.appendChild(avatar);
-  div.appendChild(contentWrapper);
+  // Saving an edited persona replaces it in place
+  const exists = userPersonas.some(p => p.id === persona.id);
+  if (!exists && userPersonas.length >= MAX_PERSONAS) {
+    elements.personaError.textContent = `At most ${MAX_PERSONAS} personas`;
+    return;
+  }
+  const personas = exists
+    ? userPersonas.map(p => (p.id === persona.id ? persona : p))
+    : [...userPersonas, persona];
 
-  return div;
+  try {
+    await savePersonas(personas);
+    elements.personaForm.reset();
+    fields.personaId.value = '';
+    elements.personaError.textContent = '';
+  } catch (err) {
+    console.error('[Personas] Failed to save persona:', err);
+    elements.personaError.textContent = 'Failed to save persona';
+  }
 }
 
 /**
- * Handle feedback button click
+ * Load a persona into the form for editing
+ * @param {string} personaId - Persona ID
  */
-async function handleFeedback(messageId, feedbackType, upBtn, downBtn) {
-  // Toggle feedback - if already selected, clear it
-  const currentFeedback = upBtn.classList.contains('active') ? 'up' :
-    downBtn.classList.contains('active') ? 'down' : null;
-
-  const newFeedback = currentFeedback === feedbackType ? null : feedbackType;
+function editPersona(personaId) {
+  const persona = userPersonas.find(p => p.id === personaId);
+  if (!persona) return;
+
+  const fields = elements.personaForm.elements;
+  fields.personaId.value = persona.id;
+  fields.name.value = persona.name;
+  fields.icon.value = persona.icon;
+  fields.systemPrompt.value = persona.systemPrompt;
+  fields.modelId.value = persona.modelId || '';
+  fields.temperature.value = persona.settings.temperature ?? '';
+  fields.maxTokens.value = persona.settings.maxTokens ?? '';
+  fields.starters.value = persona.starters.join('\n');
+  fields.name.focus();
+}
 
-  // Update UI immediately
-  upBtn.classList.toggle('active', newFeedback === 'up');
-  downBtn.classList.toggle('active', newFeedback === 'down');
+async function deletePersona(personaId) {
+  const persona = userPersonas.find(p => p.id === personaId);
+  if (!persona || !confirm(`Delete persona "${persona.name}"? Existing chats keep their settings.`)) return;
 
-  // Save to Firestore
   try {
-    await updateMessageFeedback(currentChatId, messageId, newFeedback);
+    await savePersonas(userPersonas.filter(p => p.id !== personaId));
   } catch (err) {
-    console.error('[App] Failed to save feedback:', err);
-    // Revert UI on error
-    upBtn.classList.toggle('active', currentFeedback === 'up');
-    downBtn.classList.toggle('active', currentFeedback === 'down');
+    console.error('[Personas] Failed to delete persona:', err);
+    alert('Failed to delete persona');
   }
 }
 
-function formatMessageContent(content) {
-  // Escape HTML first
-  let formatted = escapeHtml(content);
+// ============================================================================
+// Prompt Library
+// ============================================================================
 
-  // Convert code blocks
-  formatted = formatted.replace(/```(\w*)\n?([\s\S]*?)```/g, '<pre><code>$2</code></pre>');
+/**
+ * Load the user's prompts from the profile
+ */
+async function loadPrompts() {
+  try {
+    const profile = await getUserProfile();
+    userPrompts = normalizePrompts(profile.prompts);
+  } catch (err) {
+    console.error('[Prompts] Failed to load prompts:', err);
+  }
+  promptLibrary = buildLibrary(userPrompts);
+  renderPrompts();
+}
 
-  // Convert inline code
-  formatted = formatted.replace(/`([^`]+)`/g, '<code>$1</code>');
+/**
+ * Save the user's prompts to the profile and refresh the UI
+ * @param {Array} prompts - User prompts
+ */
+async function savePrompts(prompts) {
+  await updateUserProfile({ prompts });
+  userPrompts = prompts;
+  promptLibrary = buildLibrary(userPrompts);
+  renderPrompts();
+}
 
-  // Convert line breaks
-  formatted = formatted.replace(/\n/g, '<br>');
+/**
+ * Show or hide the /command menu for the current input
+ */
+function updateCommandMenu() {
+  const text = elements.messageInput.value;
+  const parsed = /^\/\S*$/.test(text) ? parseSlashCommand(text) : null;
 
-  return formatted;
-}
+  commandMatches = parsed ? matchPrompts(promptLibrary, parsed.command).slice(0, 8) : [];
+  commandIndex = Math.min(commandIndex, Math.max(commandMatches.length - 1, 0));
 
-function updateLastMessage(content) {
-  const lastMessage = elements.chatContainer.querySelector('.message:last-child .message-content');
-  if (lastMessage) {
-    lastMessage.innerHTML = formatMessageContent(content);
-  }
+  elements.commandMenu.innerHTML = commandMatches.map((prompt, i) => `
+    <div class="command-item ${i === commandIndex ? 'active' : ''}" data-index="${i}">
+      <span class="command-name">/${escapeHtml(prompt.command)}</span>
+      <span class="command-title">${escapeHtml(prompt.title)}</span>
+    </div>
+  `).join('');
+  elements.commandMenu.style.display = commandMatches.length > 0 ? 'block' : 'none';
 }
 
-function showTypingIndicator() {
-  const indicator = document.createElement('div');
-  indicator.className = 'message assistant';
-  indicator.id = 'typingIndicator';
-  indicator.innerHTML = `
-    <div class="message-avatar">AI</div>
-    <div class="message-content typing-indicator">
-      <span></span><span></span><span></span>
-    </div>
-  `;
-  elements.chatContainer.appendChild(indicator);
-  scrollToBottom();
+function closeCommandMenu() {
+  commandMatches = [];
+  commandIndex = 0;
+  elements.commandMenu.style.display = 'none';
 }
 
-function hideTypingIndicator() {
-  const indicator = document.getElementById('typingIndicator');
-  if (indicator) {
-    indicator.remove();
+/**
+ * Keyboard handling for the /command menu
+ * @param {KeyboardEvent} e - keydown on the message input
+ * @returns {boolean} Whether the key was handled
+ */
+function handleCommandKey(e) {
+  if (commandMatches.length === 0) return false;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    commandIndex = (commandIndex + step + commandMatches.length) % commandMatches.length;
+    updateCommandMenu();
+  } else if (e.key === 'Enter' || e.key === 'Tab') {
+    const prompt = commandMatches[commandIndex];
+    closeCommandMenu();
+    applyPrompt(prompt, '');
+  } else if (e.key === 'Escape') {
+    closeCommandMenu();
+  } else {
+    return false;
   }
+
+  e.preventDefault();
+  return true;
 }
 
-function showSummaryNotice() {
-  // Remove existing notice
-  const existing = elements.chatContainer.querySelector('.summary-notice');
-  if (existing) existing.remove();
+/**
+ * Expand "/command text" typed in full when the user presses Enter
+ * @returns {boolean} Whether the input was a library command
+ */
+function expandTypedCommand() {
+  const parsed = parseSlashCommand(elements.messageInput.value.trim());
+  const prompt = parsed && promptLibrary.find(p => p.command === parsed.command);
+  if (!prompt) return false;
 
-  const notice = document.createElement('div');
-  notice.className = 'summary-notice';
-  notice.textContent = 'Earlier conversation has been summarized to fit context window';
-  elements.chatContainer.insertBefore(notice, elements.chatContainer.firstChild);
+  applyPrompt(prompt, parsed.rest);
+  return true;
 }
 
-function renderChatList(chats) {
-  elements.chatList.innerHTML = '';
+/**
+ * Fill a prompt's placeholders and put the result in the input for review
+ * @param {Object} prompt - Library prompt
+ * @param {string} typedText - Text typed after the command (fallback for {{selection}})
+ */
+async function applyPrompt(prompt, typedText) {
+  const values = {};
 
-  chats.forEach(chat => {
-    const item = document.createElement('div');
-    item.className = `chat-list-item ${chat.id === currentChatId ? 'active' : ''}`;
-    item.dataset.chatId = chat.id;
+  for (const name of getTemplateVariables(prompt.template)) {
+    const value = window.prompt(`/${prompt.command}: ${name}`, '');
+    if (value === null) return;
+    values[name] = value;
+  }
 
-    const time = chat.updatedAt?.toDate?.() || new Date();
-    const timeStr = formatTime(time);
+  if (usesVariable(prompt.template, 'selection')) {
+    values.selection = typedText || lastSelection;
+    if (!values.selection) {
+      const value = window.prompt(`/${prompt.command}: text to use`, '');
+      if (value === null) return;
+      values.selection = value;
+    }
+  }
 
-    item.innerHTML = `
-      <div class="chat-list-item-content">
-        <div class="chat-list-item-title">${escapeHtml(chat.title || 'New Chat')}</div>
-        <div class="chat-list-item-preview">${chat.messageCount || 0} messages</div>
+  if (usesVariable(prompt.template, 'clipboard')) {
+    try {
+      values.clipboard = await navigator.clipboard.readText();
+    } catch (err) {
+      console.error('[Prompts] Clipboard read failed:', err);
+      alert('Could not read the clipboard. Allow clipboard access and try again.');
+      return;
+    }
+  }
+
+  const text = fillTemplate(prompt.template, values).slice(0, MAX_MESSAGE_LENGTH);
+  elements.messageInput.value = text;
+  elements.messageInput.dispatchEvent(new Event('input'));
+  elements.messageInput.focus();
+  elements.messageInput.setSelectionRange(text.length, text.length);
+}
+
+/**
+ * Remember text selected in the conversation; focusing the input clears the page selection
+ */
+function trackSelection() {
+  const selection = window.getSelection();
+  const text = selection?.toString().trim();
+  if (text && elements.chatContainer.contains(selection.anchorNode)) {
+    lastSelection = text;
+  }
+}
+
+function renderPrompts() {
+  elements.promptsContainer.innerHTML = promptLibrary.map(prompt => `
+    <div class="cached-model-item">
+      <div class="cached-model-info">
+        <div class="cached-model-name">/${escapeHtml(prompt.command)} · ${escapeHtml(prompt.title)}</div>
+        <div class="cached-model-size prompt-template" title="${escapeAttribute(prompt.template)}">${escapeHtml(prompt.template)}</div>
       </div>
-      <span class="chat-list-item-time">${timeStr}</span>
-    `;
+      ${prompt.builtin ? '<span class="prompt-builtin">Built-in</span>' : `
+        <button class="memory-edit prompt-edit" data-command="${escapeHtml(prompt.command)}" title="Edit prompt">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+            <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
+          </svg>
+        </button>
+        <button class="cached-model-delete prompt-delete" data-command="${escapeHtml(prompt.command)}" title="Delete prompt">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+          </svg>
+        </button>
+      `}
+    </div>
+  `).join('');
+}
 
-    elements.chatList.appendChild(item);
+async function addPrompt(e) {
+  e.preventDefault();
+  const fields = elements.promptForm.elements;
+
+  const { prompt, error } = validatePrompt({
+    command: fields.command.value,
+    title: fields.title.value,
+    template: fields.template.value
   });
+  if (error) {
+    elements.promptError.textContent = error;
+    return;
+  }
 
-  // Setup event delegation (only once)
-  if (!chatListClickHandler) {
-    chatListClickHandler = (e) => {
-      const item = e.target.closest('.chat-list-item');
-      if (item && item.dataset.chatId) {
-        loadChat(item.dataset.chatId);
-      }
-    };
-    elements.chatList.addEventListener('click', chatListClickHandler);
+  // Reusing a command replaces that prompt (or overrides the built-in)
+  const prompts = userPrompts.filter(p => p.command !== prompt.command);
+  if (prompts.length >= MAX_PROMPTS) {
+    elements.promptError.textContent = `At most ${MAX_PROMPTS} prompts`;
+    return;
+  }
+
+  try {
+    await savePrompts([...prompts, prompt]);
+    elements.promptForm.reset();
+    elements.promptError.textContent = '';
+  } catch (err) {
+    console.error('[Prompts] Failed to save prompt:', err);
+    elements.promptError.textContent = 'Failed to save prompt';
   }
 }
 
-function formatTime(date) {
-  const now = new Date();
-  const diff = now - date;
+/**
+ * Load a user prompt into the form for editing
+ * @param {string} command - Prompt command
+ */
+function editPrompt(command) {
+  const prompt = userPrompts.find(p => p.command === command);
+  if (!prompt) return;
+
+  const fields = elements.promptForm.elements;
+  fields.command.value = prompt.command;
+  fields.title.value = prompt.title;
+  fields.template.value = prompt.template;
+  fields.template.focus();
+}
 
-  if (diff < 60000) return 'now';
-  if (diff < 3600000) return Math.floor(diff / 60000) + 'm';
-  if (diff < 86400000) return Math.floor(diff / 3600000) + 'h';
-  return date.toLocaleDateString();
+async function deletePrompt(command) {
+  if (!confirm(`Delete /${command}?`)) return;
+
+  try {
+    await savePrompts(userPrompts.filter(p => p.command !== command));
+  } catch (err) {
+    console.error('[Prompts] Failed to delete prompt:', err);
+    alert('Failed to delete prompt');
+  }
 }
 
-function scrollToBottom() {
-  elements.chatContainer.scrollTop = elements.chatContainer.scrollHeight;
+function exportPromptLibrary() {
+  const blob = new Blob([exportPrompts(userPrompts)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `prompts-export-${new Date().toISOString().slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Merge prompts from an exported file; imported commands replace existing ones
+ * @param {File} file - JSON file
+ */
+async function importPromptLibrary(file) {
+  const { prompts, error } = importPrompts(await file.text());
+  if (error) {
+    alert(error);
+    return;
+  }
+
+  const commands = new Set(prompts.map(p => p.command));
+  const merged = [...userPrompts.filter(p => !commands.has(p.command)), ...prompts];
+  if (merged.length > MAX_PROMPTS) {
+    alert(`Import would exceed ${MAX_PROMPTS} prompts`);
+    return;
+  }
+
+  try {
+    await savePrompts(merged);
+    alert(`Imported ${prompts.length} prompts`);
+  } catch (err) {
+    console.error('[Prompts] Failed to import prompts:', err);
+    alert('Failed to import prompts');
+  }
 }
 
 // ============================================================================
-// Status & Progress
+// Long-Term Memory
 // ============================================================================
 
-function updateStatus(state, text) {
-  elements.statusDot.className = `status-dot ${state}`;
-  elements.statusText.textContent = text;
+function loadMemorySettings() {
+  try {
+    // Suggestions cost an extra model call, so they're opt-in
+    return { suggest: false, use: true, ...JSON.parse(localStorage.getItem(MEMORY_SETTINGS_STORAGE_KEY)) };
+  } catch (e) {
+    return { suggest: false, use: true };
+  }
 }
 
-function showProgress(show) {
-  elements.progressContainer.style.display = show ? 'block' : 'none';
+function saveMemorySettings() {
+  memorySettings = {
+    suggest: elements.memorySuggestToggle.checked,
+    use: elements.memoryUseToggle.checked
+  };
+  localStorage.setItem(MEMORY_SETTINGS_STORAGE_KEY, JSON.stringify(memorySettings));
+}
+
+/**
+ * Load remembered facts from the user profile
+ */
+async function loadMemories() {
+  try {
+    const profile = await getUserProfile();
+    userMemories = normalizeMemories(profile.memories);
+  } catch (err) {
+    console.error('[Memory] Failed to load memories:', err);
+  }
+  renderMemories();
+}
+
+/**
+ * Save the memory list to the profile and refresh the UI
+ * @param {Array} memories - Memory entries
+ */
+async function saveMemories(memories) {
+  await updateUserProfile({ memories });
+  userMemories = memories;
+  renderMemories();
+}
+
+/**
+ * Context manager memory provider
+ * @param {string} question - Latest user message
+ * @returns {string} Memory section for the system message
+ */
+function getMemoryContext(question) {
+  if (!memorySettings.use) return '';
+  return formatMemoryContext(selectMemories(userMemories, question));
+}
+
+/**
+ * Ask the model whether a user message states lasting facts worth remembering
+ * Found facts are only offered; nothing is saved until the user confirms
+ * @param {string} text - User message just answered
+ */
+async function suggestMemories(text) {
+  // Memories live in the profile, which can't be saved offline
+  if (!memorySettings.suggest || !engine || offlineMode || !mightContainFacts(text)) return;
+  // A queued message took over the engine; extraction is only a nicety
+  if (isGenerating || memoryExtraction || userMemories.length >= MAX_MEMORIES) return;
+
+  const extraction = { cancelled: false };
+  memoryExtraction = extraction;
+  extraction.done = extractMemories(text, currentChatId, extraction).finally(() => {
+    memoryExtraction = null;
+  });
+  return extraction.done;
+}
+
+/**
+ * Stop a running memory extraction and wait for it to let go of the engine
+ * Called before anything else uses the engine, so requests never interleave
+ * (and Stop never interrupts the wrong one)
+ */
+async function cancelMemoryExtraction() {
+  if (!memoryExtraction) return;
+  log('[Memory] Cancelling extraction');
+  memoryExtraction.cancelled = true;
+  engine?.interruptGenerate();
+  await memoryExtraction.done;
+}
+
+/**
+ * Run the extraction call for suggestMemories()
+ * @param {string} text - User message
+ * @param {string} chatId - Chat the message belongs to
+ * @param {Object} extraction - { cancelled } set when a user request needs the engine
+ */
+async function extractMemories(text, chatId, extraction) {
+  updateStatus('loading', 'Checking for things to remember...');
+  try {
+    const response = await engine.chat.completions.create({
+      messages: [{ role: 'user', content: buildExtractionPrompt(text, userMemories) }],
+      ...buildCompletionParams({
+        temperature: 0,
+        max_tokens: 150,
+        stop: undefined,
+        response_format: undefined,
+        ...thinkingParams(false)
+      }),
+      stream: false
+    });
+
+    // An interrupted answer is cut short; nothing from it is worth offering
+    if (extraction.cancelled) return;
+
+    const known = [...userMemories, ...memorySuggestions];
+    const facts = parseExtractedFacts(stripReasoning(response.choices[0]?.message?.content || ''), known);
+    if (facts.length > 0) {
+      memorySuggestions.push(...facts.map(fact => ({ text: fact, chatId })));
+      renderMemorySuggestions();
+    }
+    log('[Memory] Suggested', facts.length, 'memories');
+  } catch (err) {
+    if (!extraction.cancelled) console.error('[Memory] Extraction failed:', err);
+  } finally {
+    if (!isGenerating) updateStatus('ready', 'Ready');
+  }
+}
+
+function renderMemorySuggestions() {
+  elements.memoryBar.innerHTML = memorySuggestions.map((suggestion, i) => `
+    <div class="memory-suggestion">
+      <span class="memory-suggestion-label">Remember?</span>
+      <span class="memory-suggestion-text">${escapeHtml(suggestion.text)}</span>
+      <button class="memory-action" data-action="save" data-index="${i}">Save</button>
+      <button class="memory-action" data-action="dismiss" data-index="${i}">Dismiss</button>
+    </div>
+  `).join('');
+  elements.memoryBar.style.display = memorySuggestions.length > 0 ? 'flex' : 'none';
+}
+
+async function handleMemorySuggestion(action, index) {
+  const suggestion = memorySuggestions[index];
+  if (!suggestion) return;
+  memorySuggestions.splice(index, 1);
+  renderMemorySuggestions();
+
+  if (action !== 'save' || isDuplicateMemory(userMemories, suggestion.text)) return;
+  if (userMemories.length >= MAX_MEMORIES) {
+    alert(`You can keep up to ${MAX_MEMORIES} memories. Delete some in Settings first.`);
+    return;
+  }
+
+  try {
+    await saveMemories([...userMemories, createMemory(suggestion.text, suggestion.chatId)]);
+  } catch (err) {
+    console.error('[Memory] Failed to save memory:', err);
+    alert('Failed to save memory');
+  }
+}
+
+function renderMemories() {
+  elements.memorySuggestToggle.checked = memorySettings.suggest;
+  elements.memoryUseToggle.checked = memorySettings.use;
+
+  if (userMemories.length === 0) {
+    elements.memoriesContainer.innerHTML = '<div class="cached-models-empty">No memories yet</div>';
+    return;
+  }
+
+  elements.memoriesContainer.innerHTML = userMemories.map(memory => `
+    <div class="cached-model-item memory-item">
+      <div class="cached-model-info">
+        <div class="memory-text">${escapeHtml(memory.text)}</div>
+        <div class="cached-model-size">${new Date(memory.createdAt).toLocaleDateString()}</div>
+      </div>
+      <button class="memory-edit" data-memory-id="${escapeHtml(memory.id)}" title="Edit memory">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+          <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
+        </svg>
+      </button>
+      <button class="cached-model-delete memory-delete" data-memory-id="${escapeHtml(memory.id)}" title="Delete memory">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+        </svg>
+      </button>
+    </div>
+  `).join('');
+}
+
+async function addMemory(e) {
+  e.preventDefault();
+  const input = elements.memoryForm.elements.memoryText;
+
+  const { text, error } = validateMemoryText(input.value);
+  if (error || isDuplicateMemory(userMemories, text) || userMemories.length >= MAX_MEMORIES) {
+    elements.memoryError.textContent = error ||
+      (userMemories.length >= MAX_MEMORIES ? `At most ${MAX_MEMORIES} memories` : 'Already remembered');
+    return;
+  }
+
+  try {
+    await saveMemories([...userMemories, createMemory(text)]);
+    input.value = '';
+    elements.memoryError.textContent = '';
+  } catch (err) {
+    console.error('[Memory] Failed to add memory:', err);
+    elements.memoryError.textContent = 'Failed to save memory';
+  }
 }
 
-function updateProgress(percent) {
-  elements.progressFill.style.width = `${percent}%`;
+async function editMemory(memoryId) {
+  const memory = userMemories.find(m => m.id === memoryId);
+  if (!memory) return;
+
+  const edited = prompt('Edit memory', memory.text);
+  if (edited === null) return;
+
+  const { text, error } = validateMemoryText(edited);
+  if (error) {
+    alert(error);
+    return;
+  }
+
+  try {
+    await saveMemories(userMemories.map(m => (m.id === memoryId ? { ...m, text } : m)));
+  } catch (err) {
+    console.error('[Memory] Failed to edit memory:', err);
+    alert('Failed to save memory');
+  }
 }
 
-function updateTokenDisplay() {
-  const status = getContextStatus(messages, currentModelId);
-  elements.tokenCount.textContent = `Tokens: ~${status.current} / ${status.max}`;
+async function deleteMemory(memoryId) {
+  const memory = userMemories.find(m => m.id === memoryId);
+  if (!memory || !confirm(`Forget "${memory.text}"?`)) return;
 
-  if (status.isNearLimit) {
-    elements.tokenCount.classList.add('token-warning');
-    elements.contextStatus.textContent = 'Context nearly full';
-  } else if (status.needsSummarization) {
-    elements.tokenCount.classList.remove('token-warning');
-    elements.contextStatus.textContent = 'Will summarize soon';
-  } else {
-    elements.tokenCount.classList.remove('token-warning');
-    elements.contextStatus.textContent = '';
+  try {
+    await saveMemories(userMemories.filter(m => m.id !== memoryId));
+  } catch (err) {
+    console.error('[Memory] Failed to delete memory:', err);
+    alert('Failed to delete memory');
   }
 }
 
 // ============================================================================
-// Sidebar & Settings
+// Model Comparison
 // ============================================================================
 
-function openSidebar() {
-  elements.sidebar.classList.add('open');
-  elements.overlay.classList.add('visible');
+function loadCompareSelection() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY));
+    return Array.isArray(ids) ? ids : [];
+  } catch (e) {
+    return [];
+  }
 }
 
-function closeSidebar() {
-  elements.sidebar.classList.remove('open');
-  elements.overlay.classList.remove('visible');
+/**
+ * Get the models to compare, skipping ones removed or unsupported on this device
+ * @returns {Array} Model IDs
+ */
+function getCompareSelection() {
+  return compareModelIds.filter(id =>
+    getModel(id) && getCompatibility(id).level !== COMPATIBILITY.UNSUPPORTED
+  );
 }
 
-function openSettings() {
-  elements.settingsPanel.classList.add('open');
-  elements.overlay.classList.add('visible');
+function renderCompareModels() {
+  elements.compareModels.innerHTML = getModels().map(model => {
+    const unsupported = getCompatibility(model.id).level === COMPATIBILITY.UNSUPPORTED;
+    const checked = compareModelIds.includes(model.id) && !unsupported;
+    return `
+      <label class="compare-model ${unsupported ? 'disabled' : ''}">
+        <input type="checkbox" value="${escapeHtml(model.id)}" ${checked ? 'checked' : ''} ${unsupported ? 'disabled' : ''}>
+        <span>${escapeHtml(model.name)}</span>
+      </label>
+    `;
+  }).join('');
 }
 
-function closeSettings() {
-  elements.settingsPanel.classList.remove('open');
-  elements.overlay.classList.remove('visible');
+function toggleCompareMode() {
+  compareMode = !compareMode;
+  elements.compareBar.style.display = compareMode ? 'flex' : 'none';
+  elements.compareBtn.classList.toggle('active', compareMode);
+  elements.messageInput.placeholder = isGenerating ? 'Type your next message...' : getInputPlaceholder();
+  log('[Compare] Compare mode', compareMode ? 'on' : 'off');
 }
 
-function toggleTheme() {
-  const currentTheme = document.documentElement.getAttribute('data-theme');
-  const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-  document.documentElement.setAttribute('data-theme', newTheme);
-  localStorage.setItem('theme', newTheme);
+function getInputPlaceholder() {
+  return compareMode ? 'Ask all selected models...' : 'Type your message...';
 }
 
-async function exportChat() {
-  const chat = await getChat(currentChatId);
-  const exportData = exportConversation(messages, {
-    chatTitle: chat?.title,
-    model: currentModelId
-  });
-
-  const blob = new Blob([exportData], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `chat-export-${new Date().toISOString().slice(0, 10)}.json`;
-  a.click();
-  URL.revokeObjectURL(url);
+function saveCompareSelection() {
+  compareModelIds = [...elements.compareModels.querySelectorAll('input:checked')].map(input => input.value);
+  localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(compareModelIds));
 }
 
-async function clearCurrentChat() {
-  if (!confirm('Clear all messages in this chat?')) return;
+// ============================================================================
+// Model Registry
+// ============================================================================
 
-  await deleteChat(currentChatId);
-  await createNewChat();
-  closeSettings();
+/**
+ * Load custom models from the user profile and refresh the model selector
+ */
+async function loadCustomModels() {
+  try {
+    const profile = await getUserProfile();
+    setCustomModels(profile.customModels);
+  } catch (err) {
+    console.error('[App] Failed to load custom models:', err);
+  }
+
+  // Fall back if the saved model was removed or can't run on this device
+  if (!getModel(currentModelId) || getCompatibility(currentModelId).level === COMPATIBILITY.UNSUPPORTED) {
+    const fallback = getModels().find(m => getCompatibility(m.id).level === COMPATIBILITY.RECOMMENDED);
+    currentModelId = fallback?.id || DEFAULT_MODEL_ID;
+    localStorage.setItem(MODEL_STORAGE_KEY, currentModelId);
+    contextManager.setModel(currentModelId);
+  }
+
+  renderModelSelect();
+  renderCustomModels();
 }
 
-async function deleteAllData() {
-  if (!confirm('Delete ALL your data? This cannot be undone.')) return;
-  if (!confirm('Are you sure? All chats will be permanently deleted.')) return;
+function renderModelSelect() {
+  elements.modelSelect.innerHTML = '';
 
-  await deleteAllUserData();
-  await createNewChat();
-  closeSettings();
+  getModels().forEach(model => {
+    const { level, reasons } = getCompatibility(model.id);
+    const option = document.createElement('option');
+    option.value = model.id;
+
+    let label = model.custom ? `${model.name} (Custom)` : model.name;
+    if (level === COMPATIBILITY.RISKY) label = `⚠ ${label}`;
+    if (level === COMPATIBILITY.UNSUPPORTED) label = `${label} - unsupported`;
+    option.textContent = label;
+
+    option.title = reasons.length > 0 ? reasons.join('\n') : 'Recommended for this device';
+    option.disabled = level === COMPATIBILITY.UNSUPPORTED;
+    elements.modelSelect.appendChild(option);
+  });
+
+  elements.modelSelect.value = currentModelId;
+  renderCompareModels();
 }
 
-// ============================================================================
-// Cached Models Management
-// ============================================================================
+/**
+ * Rate a model against the probed GPU
+ * @param {string} modelId - Model ID
+ * @returns {Object} { level, reasons }
+ */
+function getCompatibility(modelId) {
+  const model = getModel(modelId);
+  if (!model) return { level: COMPATIBILITY.UNSUPPORTED, reasons: ['Unknown model'] };
+  return assessModel(model, gpuCapabilities);
+}
 
 /**
- * Get all cached model caches from the browser
- * web-llm uses Cache API with cache names containing model IDs
+ * Block unsupported models and ask before loading risky ones
+ * @param {string} modelId - Model about to be loaded
+ * @returns {boolean} Whether loading should proceed
  */
-async function getCachedModels() {
-  try {
-    const cacheNames = await caches.keys();
-    // Filter for web-llm model caches (they typically contain 'webllm' or model patterns)
-    const modelCaches = cacheNames.filter(name =>
-      name.includes('webllm') ||
-      AVAILABLE_MODELS.some(model => name.includes(model.id))
-    );
+function confirmModelCompatibility(modelId) {
+  const { level, reasons } = getCompatibility(modelId);
+  const name = getModel(modelId)?.name || modelId;
 
-    const modelsWithSize = await Promise.all(modelCaches.map(async (cacheName) => {
-      try {
-        const cache = await caches.open(cacheName);
-        const keys = await cache.keys();
-        let totalSize = 0;
+  if (level === COMPATIBILITY.UNSUPPORTED) {
+    alert(`${name} can't run on this device:\n\n- ${reasons.join('\n- ')}`);
+    return false;
+  }
 
-        // Estimate size from cache entries
-        for (const request of keys) {
-          try {
-            const response = await cache.match(request);
-            if (response) {
-              // Prefer Content-Length header to avoid blob creation
-              const contentLength = response.headers.get('Content-Length');
-              if (contentLength) {
-                totalSize += parseInt(contentLength, 10);
-              } else {
-                const blob = await response.clone().blob();
-                totalSize += blob.size;
-              }
-            }
-          } catch (e) {
-            // Skip entries that can't be read
-          }
-        }
+  if (level === COMPATIBILITY.RISKY) {
+    return confirm(`${name} may not run well on this device:\n\n- ${reasons.join('\n- ')}\n\nDownload and load it anyway?`);
+  }
 
-        // Extract model name from cache name
-        let displayName = cacheName;
-        for (const model of AVAILABLE_MODELS) {
-          if (cacheName.includes(model.id)) {
-            displayName = model.name;
-            break;
-          }
-        }
+  return true;
+}
 
-        return {
-          cacheName,
-          displayName,
-          size: totalSize,
-          entryCount: keys.length
-        };
-      } catch (e) {
-        return {
-          cacheName,
-          displayName: cacheName,
-          size: 0,
-          entryCount: 0
-        };
-      }
-    }));
+function renderHardwareInfo() {
+  const caps = gpuCapabilities;
+  if (!caps?.supported) {
+    elements.hardwareInfo.innerHTML = `<div class="cached-models-empty">${escapeHtml(describeAdapter(caps))}</div>`;
+    return;
+  }
 
-    return modelsWithSize.filter(m => m.entryCount > 0);
-  } catch (error) {
-    console.error('[Cache] Error getting cached models:', error);
-    return [];
+  const rows = [
+    ['GPU', describeAdapter(caps)],
+    ['shader-f16', caps.shaderF16 ? 'Supported' : 'Not supported'],
+    ['Max buffer', formatBytes(caps.maxBufferSize)],
+    ['Max storage binding', formatBytes(caps.maxStorageBufferBindingSize)]
+  ];
+  if (caps.deviceMemoryGB) {
+    rows.push(['Device memory', `${caps.deviceMemoryGB} GB`]);
   }
-}
 
-/**
- * Format bytes to human readable string
- */
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+  elements.hardwareInfo.innerHTML = rows.map(([label, value]) => `
+    <div class="hardware-row">
+      <span class="hardware-label">${escapeHtml(label)}</span>
+      <span class="hardware-value">${escapeHtml(value)}</span>
+    </div>
+  `).join('');
 }
 
 /**
- * Render the cached models list in settings
+ * Show average speed per model and device over recent responses
  */
-async function renderCachedModels() {
-  elements.cachedModelsContainer.innerHTML = '<div class="cached-models-loading">Loading...</div>';
+async function renderPerformanceStats() {
+  elements.performanceStats.innerHTML = '<div class="cached-models-loading">Loading...</div>';
 
-  const models = await getCachedModels();
+  let groups;
+  try {
+    groups = aggregateStats(await getGenerationStats());
+  } catch (err) {
+    console.error('[App] Failed to load performance stats:', err);
+    elements.performanceStats.innerHTML = '<div class="cached-models-empty">Failed to load stats</div>';
+    return;
+  }
+
+  if (groups.length === 0) {
+    elements.performanceStats.innerHTML = '<div class="cached-models-empty">No responses measured yet</div>';
+    return;
+  }
+
+  const format = (value, unit) => (value === null ? 'n/a' : `${Math.round(value * 10) / 10} ${unit}`);
+  elements.performanceStats.innerHTML = groups.map(group => `
+    <div class="cached-model-item">
+      <div class="cached-model-info">
+        <div class="cached-model-name">${escapeHtml(getModel(group.modelId)?.name || group.modelId || 'Unknown model')}</div>
+        <div class="cached-model-size">${escapeHtml(group.device)} · ${group.count} responses</div>
+        <div class="cached-model-size">
+          ${escapeHtml(format(group.avgDecodeTps, 'tok/s'))} decode ·
+          ${escapeHtml(format(group.avgPrefillTps, 'tok/s'))} prefill ·
+          ${escapeHtml(format(group.avgTtftMs, 'ms'))} to first token
+        </div>
+      </div>
+    </div>
+  `).join('');
+}
+
+function renderCustomModels() {
+  const models = getCustomModels();
 
   if (models.length === 0) {
-    elements.cachedModelsContainer.innerHTML = '<div class="cached-models-empty">No cached models</div>';
+    elements.customModelsContainer.innerHTML = '<div class="cached-models-empty">No custom models</div>';
     return;
   }
 
-  elements.cachedModelsContainer.innerHTML = models.map(model => `
-    <div class="cached-model-item" data-cache-name="${escapeHtml(model.cacheName)}">
+  elements.customModelsContainer.innerHTML = models.map(model => `
+    <div class="cached-model-item">
       <div class="cached-model-info">
-        <div class="cached-model-name">${escapeHtml(model.displayName)}</div>
-        <div class="cached-model-size">${formatBytes(model.size)}</div>
+        <div class="cached-model-name">${escapeHtml(model.name)}</div>
+        <div class="cached-model-size">${escapeHtml(model.id)} · ${model.contextWindow.toLocaleString()} tokens</div>
       </div>
-      <button class="cached-model-delete" title="Delete this model">
+      <button class="cached-model-delete custom-model-delete" data-model-id="${escapeHtml(model.id)}" title="Remove this model">
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
         </svg>
@@ -890,42 +4304,65 @@ async function renderCachedModels() {
 }
 
 /**
- * Delete a specific cached model
+ * Save the custom model list to the profile and refresh the UI
+ * @param {Array} models - Custom model entries
  */
-async function deleteCachedModel(cacheName) {
-  const modelName = AVAILABLE_MODELS.find(m => cacheName.includes(m.id))?.name || cacheName;
+async function saveCustomModels(models) {
+  await updateUserProfile({ customModels: models });
+  setCustomModels(models);
+  renderModelSelect();
+  renderCustomModels();
+  renderPersonas();
+}
 
-  if (!confirm(`Delete cached model "${modelName}"?`)) return;
+async function addCustomModel(e) {
+  e.preventDefault();
+  const fields = elements.customModelForm.elements;
+
+  const { model, error } = validateCustomModel({
+    id: fields.modelId.value,
+    name: fields.modelName.value,
+    weightsUrl: fields.weightsUrl.value,
+    wasmUrl: fields.wasmUrl.value,
+    contextWindow: fields.contextWindow.value
+  });
+
+  if (error) {
+    elements.customModelError.textContent = error;
+    return;
+  }
+
+  // Re-registering an ID replaces the previous definition
+  const models = getCustomModels().filter(m => m.id !== model.id);
+  models.push(model);
 
   try {
-    await caches.delete(cacheName);
-    log('[Cache] Deleted cache:', cacheName);
-    await renderCachedModels();
-  } catch (error) {
-    console.error('[Cache] Error deleting cache:', error);
-    alert('Failed to delete cached model');
+    await saveCustomModels(models);
+    elements.customModelForm.reset();
+    elements.customModelError.textContent = '';
+    log('[App] Registered custom model:', model.id);
+  } catch (err) {
+    console.error('[App] Failed to save custom model:', err);
+    elements.customModelError.textContent = 'Failed to save model';
   }
 }
 
-/**
- * Clear all cached models
- */
-async function clearAllCachedModels() {
-  if (!confirm('Delete ALL cached models? You will need to re-download them.')) return;
+async function removeCustomModel(modelId) {
+  const model = getModel(modelId);
+  if (!model?.custom) return;
+  if (!confirm(`Remove custom model "${model.name}"?`)) return;
 
   try {
-    const cacheNames = await caches.keys();
-    const modelCaches = cacheNames.filter(name =>
-      name.includes('webllm') ||
-      AVAILABLE_MODELS.some(model => name.includes(model.id))
-    );
+    await saveCustomModels(getCustomModels().filter(m => m.id !== modelId));
 
-    await Promise.all(modelCaches.map(name => caches.delete(name)));
-    log('[Cache] Cleared all model caches');
-    await renderCachedModels();
-  } catch (error) {
-    console.error('[Cache] Error clearing caches:', error);
-    alert('Failed to clear cached models');
+    // Don't leave the removed model selected
+    if (currentModelId === modelId) {
+      await switchModel(DEFAULT_MODEL_ID);
+      elements.modelSelect.value = DEFAULT_MODEL_ID;
+    }
+  } catch (err) {
+    console.error('[App] Failed to remove custom model:', err);
+    alert('Failed to remove custom model');
   }
 }
 
@@ -945,11 +4382,19 @@ function setupCleanupHandlers() {
       unsubscribeChats = null;
     }
 
-    // Unload LLM engine
+    // Unload LLM engine and stop its worker
     if (engine) {
       engine.unload().catch(() => {});
       engine = null;
     }
+    if (llmWorker) {
+      llmWorker.terminate();
+      llmWorker = null;
+    }
+    if (embeddingWorker) {
+      embeddingWorker.terminate();
+      embeddingWorker = null;
+    }
   });
 
   window.addEventListener('pagehide', () => {
@@ -966,11 +4411,17 @@ function setupCleanupHandlers() {
 function setupEventListeners() {
   // Send message
   elements.sendBtn.addEventListener('click', sendMessage);
+  elements.stopBtn.addEventListener('click', stopGeneration);
+  elements.messageQueue.addEventListener('click', (e) => {
+    const btn = e.target.closest('.queue-action');
+    if (btn) handleQueueAction(btn.dataset.action, btn.dataset.queueId);
+  });
 
   elements.messageInput.addEventListener('keydown', (e) => {
+    if (handleCommandKey(e)) return;
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
-      sendMessage();
+      if (!expandTypedCommand()) sendMessage();
     }
   });
 
@@ -978,6 +4429,33 @@ function setupEventListeners() {
   elements.messageInput.addEventListener('input', () => {
     elements.messageInput.style.height = 'auto';
     elements.messageInput.style.height = Math.min(elements.messageInput.scrollHeight, 200) + 'px';
+    updateCommandMenu();
+  });
+
+  // Prompt library
+  elements.messageInput.addEventListener('blur', () => setTimeout(closeCommandMenu, 150));
+  elements.commandMenu.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('.command-item');
+    if (!item) return;
+    e.preventDefault();
+    const prompt = commandMatches[Number(item.dataset.index)];
+    closeCommandMenu();
+    applyPrompt(prompt, '');
+  });
+  document.addEventListener('selectionchange', trackSelection);
+  elements.promptForm.addEventListener('submit', addPrompt);
+  elements.promptsContainer.addEventListener('click', (e) => {
+    const editBtn = e.target.closest('.prompt-edit');
+    const deleteBtn = e.target.closest('.prompt-delete');
+    if (editBtn) editPrompt(editBtn.dataset.command);
+    if (deleteBtn) deletePrompt(deleteBtn.dataset.command);
+  });
+  elements.exportPromptsBtn.addEventListener('click', exportPromptLibrary);
+  elements.importPromptsBtn.addEventListener('click', () => elements.promptsFileInput.click());
+  elements.promptsFileInput.addEventListener('change', () => {
+    const [file] = elements.promptsFileInput.files;
+    if (file) importPromptLibrary(file);
+    elements.promptsFileInput.value = '';
   });
 
   // Model selection
@@ -987,24 +4465,126 @@ function setupEventListeners() {
 
   // Sidebar
   elements.menuBtn.addEventListener('click', openSidebar);
-  elements.newChatBtn.addEventListener('click', createNewChat);
+  elements.newChatBtn.addEventListener('click', handleNewChatClick);
+
+  // Personas
+  elements.personaMenu.addEventListener('click', (e) => {
+    const item = e.target.closest('.persona-menu-item');
+    if (!item) return;
+    elements.personaMenu.style.display = 'none';
+    createNewChat(item.dataset.personaId || null);
+  });
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('#personaMenu, #newChatBtn')) {
+      elements.personaMenu.style.display = 'none';
+    }
+  });
+  elements.personaWelcome.addEventListener('click', (e) => {
+    const starter = e.target.closest('.persona-starter');
+    if (starter) sendStarter(Number(starter.dataset.index));
+  });
+  elements.personaForm.addEventListener('submit', addPersona);
+  elements.personaForm.addEventListener('reset', () => {
+    elements.personaForm.elements.personaId.value = '';
+    elements.personaError.textContent = '';
+  });
+  elements.personasContainer.addEventListener('click', (e) => {
+    const editBtn = e.target.closest('.persona-edit');
+    const deleteBtn = e.target.closest('.persona-delete');
+    if (editBtn) editPersona(editBtn.dataset.personaId);
+    if (deleteBtn) deletePersona(deleteBtn.dataset.personaId);
+  });
 
   // Settings
   elements.settingsBtn.addEventListener('click', () => {
     openSettings();
     renderCachedModels();
+    renderModelDownloads();
   });
   elements.closeSettingsBtn.addEventListener('click', closeSettings);
+  elements.refreshStatsBtn.addEventListener('click', renderPerformanceStats);
+  elements.storageModeSelect.addEventListener('change', switchStorageMode);
+  elements.encryptionForm.addEventListener('submit', handleEncryptionSubmit);
+  elements.reencryptBtn.addEventListener('click', handleReencrypt);
   elements.themeToggle.addEventListener('click', toggleTheme);
   elements.exportBtn.addEventListener('click', exportChat);
   elements.clearChatBtn.addEventListener('click', clearCurrentChat);
   elements.deleteAllBtn.addEventListener('click', deleteAllData);
   elements.clearAllModelsBtn.addEventListener('click', clearAllCachedModels);
 
+  // Model comparison
+  elements.compareBtn.addEventListener('click', toggleCompareMode);
+  elements.compareModels.addEventListener('change', saveCompareSelection);
+
+  // Chat settings
+  elements.chatSettingsBtn.addEventListener('click', openChatSettings);
+  elements.closeChatSettingsBtn.addEventListener('click', closeChatSettings);
+  elements.chatSettingsForm.addEventListener('submit', saveChatSettings);
+  elements.resetChatSettingsBtn.addEventListener('click', () => {
+    renderChatSettingsForm(DEFAULT_CHAT_SETTINGS);
+  });
+
   // Overlay
   elements.overlay.addEventListener('click', () => {
     closeSidebar();
     closeSettings();
+    closeChatSettings();
+    closeSource();
+  });
+
+  // Documents
+  elements.fileInput.accept = ['image/*', ...SUPPORTED_EXTENSIONS.map(ext => `.${ext}`)].join(',');
+  elements.attachBtn.addEventListener('click', () => elements.fileInput.click());
+  elements.fileInput.addEventListener('change', () => {
+    handleFiles([...elements.fileInput.files]);
+    elements.fileInput.value = '';
+  });
+
+  // Images can also be pasted or dropped onto the input area
+  elements.messageInput.addEventListener('paste', (e) => {
+    const images = [...(e.clipboardData?.files || [])].filter(isImageFile);
+    if (images.length === 0) return;
+    e.preventDefault();
+    attachImages(images);
+  });
+  elements.inputContainer.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer?.types.includes('Files')) return;
+    e.preventDefault();
+    elements.inputContainer.classList.add('drag-over');
+  });
+  elements.inputContainer.addEventListener('dragleave', (e) => {
+    if (!elements.inputContainer.contains(e.relatedTarget)) {
+      elements.inputContainer.classList.remove('drag-over');
+    }
+  });
+  elements.inputContainer.addEventListener('drop', (e) => {
+    e.preventDefault();
+    elements.inputContainer.classList.remove('drag-over');
+    handleFiles([...(e.dataTransfer?.files || [])]);
+  });
+  elements.imageBar.addEventListener('click', (e) => {
+    const btn = e.target.closest('.document-remove');
+    if (btn) removePendingImage(btn.dataset.imageId);
+  });
+  elements.documentsBar.addEventListener('click', (e) => {
+    const btn = e.target.closest('.document-remove');
+    if (btn) deleteDocument(btn.dataset.docId);
+  });
+  elements.closeSourceBtn.addEventListener('click', closeSource);
+
+  // Long-term memory
+  elements.memoryBar.addEventListener('click', (e) => {
+    const btn = e.target.closest('.memory-action');
+    if (btn) handleMemorySuggestion(btn.dataset.action, Number(btn.dataset.index));
+  });
+  elements.memorySuggestToggle.addEventListener('change', saveMemorySettings);
+  elements.memoryUseToggle.addEventListener('change', saveMemorySettings);
+  elements.memoryForm.addEventListener('submit', addMemory);
+  elements.memoriesContainer.addEventListener('click', (e) => {
+    const editBtn = e.target.closest('.memory-edit');
+    const deleteBtn = e.target.closest('.memory-delete');
+    if (editBtn) editMemory(editBtn.dataset.memoryId);
+    if (deleteBtn) deleteMemory(deleteBtn.dataset.memoryId);
   });
 
   // Load saved theme
@@ -1013,11 +4593,23 @@ function setupEventListeners() {
     document.documentElement.setAttribute('data-theme', savedTheme);
   }
 
-  // Load saved model selection
-  const savedModel = localStorage.getItem(MODEL_STORAGE_KEY);
-  if (savedModel && elements.modelSelect.querySelector(`option[value="${savedModel}"]`)) {
-    elements.modelSelect.value = savedModel;
-  }
+  // Custom models
+  elements.customModelForm.addEventListener('submit', addCustomModel);
+  elements.customModelsContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('.custom-model-delete');
+    if (btn && btn.dataset.modelId) {
+      removeCustomModel(btn.dataset.modelId);
+    }
+  });
+
+  // Model downloads
+  elements.modelDownloadsContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('.download-action');
+    const item = btn?.closest('.download-item');
+    if (item) {
+      handleDownloadAction(item.dataset.modelId, btn.dataset.action);
+    }
+  });
 
   // Setup event delegation for cached models delete buttons (only once)
   if (!cachedModelsClickHandler) {
@@ -1033,9 +4625,13 @@ function setupEventListeners() {
     elements.cachedModelsContainer.addEventListener('click', cachedModelsClickHandler);
   }
 
-  // Handle online/offline status
+  // Handle online/offline status (local storage doesn't depend on it)
+  if (storageMode === STORAGE_MODES.LOCAL) return;
+
   window.addEventListener('online', () => {
-    elements.connectionStatus.innerHTML = '<span class="status-dot ready"></span><span>Synced</span>';
+    elements.connectionStatus.innerHTML = offlineMode
+      ? '<span class="status-dot loading"></span><span>Online · reload to sync</span>'
+      : '<span class="status-dot ready"></span><span>Synced</span>';
   });
 
   window.addEventListener('offline', () => {
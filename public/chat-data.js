@@ -0,0 +1,195 @@
+/**
+ * Chat Data Module
+ * Helpers shared by the storage backends and the UI: message IDs, titles,
+ * message normalization and the branch resolution of the message tree
+ */
+
+import { splitReasoning } from './reasoning.js';
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Escape text for use inside a quoted HTML attribute
+ * escapeHtml() leaves quotes alone, which is only safe in element content
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Generate a custom message ID in format: YYYYMMDDHHMMSS-XX
+ * Model name is stored inside the message document as `modelId` field
+ * @returns {string} Custom message ID
+ */
+export function generateMessageId() {
+  const now = new Date();
+
+  // Format: YYYYMMDDHHMMSS
+  const timestamp = now.getFullYear().toString() +
+    String(now.getMonth() + 1).padStart(2, '0') +
+    String(now.getDate()).padStart(2, '0') +
+    String(now.getHours()).padStart(2, '0') +
+    String(now.getMinutes()).padStart(2, '0') +
+    String(now.getSeconds()).padStart(2, '0');
+
+  // Generate 2 random letters
+  const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const randomLetters = letters.charAt(Math.floor(Math.random() * 26)) +
+    letters.charAt(Math.floor(Math.random() * 26));
+
+  return `${timestamp}-${randomLetters}`;
+}
+
+/**
+ * Convert a stored timestamp (Firestore Timestamp or Date) to a Date
+ * @param {*} value - Stored value
+ * @returns {Date|null}
+ */
+export function toDate(value) {
+  if (value instanceof Date) return value;
+  return value?.toDate?.() || null;
+}
+
+/**
+ * Convert stored chat fields to a chat object
+ * @param {string} id - Chat ID
+ * @param {Object} data - Stored fields
+ * @returns {Object} Chat object with Date timestamps
+ */
+export function normalizeChat(id, data) {
+  return {
+    ...data,
+    id,
+    createdAt: toDate(data.createdAt) || new Date(),
+    updatedAt: toDate(data.updatedAt) || new Date()
+  };
+}
+
+/**
+ * Convert stored message fields to a plain message object
+ * @param {string} id - Message ID
+ * @param {Object} data - Stored fields
+ * @returns {Object} Message object
+ */
+export function normalizeMessage(id, data) {
+  // Older responses were saved with <think> blocks inline
+  const { reasoning, content } = data.reasoning !== undefined
+    ? { reasoning: data.reasoning, content: data.content }
+    : splitReasoning(data.content);
+
+  return {
+    id,
+    role: data.role,
+    content,
+    reasoning: reasoning || '',
+    modelId: data.modelId || null,
+    // undefined = written before branching existed; null = first message of the chat
+    parentId: 'parentId' in data ? data.parentId : undefined,
+    feedback: data.feedback || null,
+    pinned: data.pinned === true,
+    truncated: data.truncated === true,
+    format: data.format || 'text',
+    validationErrors: data.validationErrors || [],
+    toolCall: data.toolCall || null,
+    isError: data.isError === true,
+    comparisonId: data.comparisonId || null,
+    timing: data.timing || null,
+    stats: data.stats || null,
+    sources: data.sources || [],
+    images: data.images || [],
+    timestamp: toDate(data.timestamp) || new Date(),
+    selectedAt: toDate(data.selectedAt)
+  };
+}
+
+/**
+ * Resolve the active branch of a chat's message tree
+ * Every message points at its parent; siblings are alternative versions of the
+ * same turn (regenerated responses or edited user messages). At each level the
+ * most recently selected (or created) sibling is active.
+ * @param {Array} messages - All messages in chronological order
+ * @returns {Array} Messages on the active path, each with `siblings` (ids) and `siblingIndex`;
+ *   responses from a model comparison also carry the whole run as `comparison`
+ */
+export function resolveActivePath(messages) {
+  const children = new Map();
+
+  messages.forEach((msg, i) => {
+    // Messages from before branching follow the previous message
+    const parentId = msg.parentId !== undefined ? msg.parentId : (messages[i - 1]?.id ?? null);
+    const node = { ...msg, parentId };
+
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(node);
+  });
+
+  const activeTime = (msg) => (msg.selectedAt || msg.timestamp).getTime();
+  const path = [];
+  const visited = new Set();
+  let siblings = children.get(null) || [];
+
+  while (siblings.length > 0) {
+    const active = siblings.reduce((best, node) => (activeTime(node) >= activeTime(best) ? node : best));
+    if (visited.has(active.id)) break; // Guard against malformed cycles
+    visited.add(active.id);
+
+    active.siblings = siblings.map(node => node.id);
+    active.siblingIndex = siblings.indexOf(active);
+    if (active.comparisonId) {
+      active.comparison = siblings.filter(node => node.comparisonId === active.comparisonId);
+    }
+    path.push(active);
+
+    siblings = children.get(active.id) || [];
+  }
+
+  return path;
+}
+
+/**
+ * Find messages containing some text, for the search tool
+ * @param {Object} chat - Chat the messages belong to
+ * @param {Array} messages - Message objects
+ * @param {string} needle - Lowercase text to look for
+ * @returns {Array} Matches { chatId, chatTitle, role, content, timestamp }
+ */
+export function matchMessages(chat, messages, needle) {
+  return messages
+    .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.content.toLowerCase().includes(needle))
+    .map(msg => ({
+      chatId: chat.id,
+      chatTitle: chat.title,
+      role: msg.role,
+      content: msg.content,
+      timestamp: msg.timestamp
+    }));
+}
+
+/**
+ * Generate a chat title from first message
+ * @param {string} content - First message content
+ * @returns {string} Generated title
+ */
+export function generateChatTitle(content) {
+  // Take first 50 chars, cut at last word boundary
+  let title = content.slice(0, 50);
+  if (content.length > 50) {
+    const lastSpace = title.lastIndexOf(' ');
+    if (lastSpace > 20) {
+      title = title.slice(0, lastSpace);
+    }
+    title += '...';
+  }
+  return title;
+}
@@ -0,0 +1,121 @@
+/**
+ * Encryption Module
+ * Client-side encryption of synced chat text with WebCrypto: AES-GCM with a
+ * key derived from the user's passphrase (PBKDF2). Ciphertext is stored as
+ * "enc:v1:<keyId>:<iv>:<data>"; anything without the prefix is legacy plaintext.
+ */
+
+export const ENCRYPTED_PREFIX = 'enc:v1:';
+// The whole stored shape, so text that merely starts with the prefix stays text;
+// firestore.rules checks ciphertext with the same pattern
+const ENCRYPTED_PATTERN = /^enc:v1:[A-Za-z0-9]{1,8}:[A-Za-z0-9+/]{16}:([A-Za-z0-9+/]{4}){5,}([A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const PBKDF2_ITERATIONS = 310000; // OWASP recommendation for PBKDF2-SHA256
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KEY_CHECK_TEXT = 'llm-chat-key-check';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Check if a stored value is ciphertext
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && ENCRYPTED_PATTERN.test(value);
+}
+
+/**
+ * Derive a key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Object} params - Stored { salt, iterations }; omit to start a new key
+ * @returns {Promise<Object>} { key: { id, cryptoKey }, params: { salt, iterations, check } }
+ */
+export async function deriveKey(passphrase, params = null) {
+  const salt = params?.salt || toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+  const iterations = params?.iterations || PBKDF2_ITERATIONS;
+
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  const cryptoKey = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+
+  // The salt is random per key, so it doubles as the key's ID in ciphertext
+  const key = { id: salt.replace(/[^a-zA-Z0-9]/g, '').slice(0, 8), cryptoKey };
+  const check = params?.check || await encryptText(key, KEY_CHECK_TEXT);
+  return { key, params: { salt, iterations, check } };
+}
+
+/**
+ * Check a derived key against the stored key check (i.e. the passphrase was right)
+ * @param {Object} key - Derived key
+ * @param {Object} params - Stored { check }
+ * @returns {Promise<boolean>}
+ */
+export async function verifyKey(key, params) {
+  try {
+    return await decryptText([key], params.check) === KEY_CHECK_TEXT;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Get the ID of the key a value was encrypted with
+ * @param {string} value - Ciphertext
+ * @returns {string|null}
+ */
+export function getKeyId(value) {
+  return isEncrypted(value) ? value.slice(ENCRYPTED_PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Encrypt text
+ * @param {Object} key - Derived key { id, cryptoKey }
+ * @param {string} text - Plaintext
+ * @returns {Promise<string>} Ciphertext with prefix, key ID and IV
+ */
+export async function encryptText(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key.cryptoKey, encoder.encode(text));
+  return `${ENCRYPTED_PREFIX}${key.id}:${toBase64(iv)}:${toBase64(data)}`;
+}
+
+/**
+ * Decrypt a stored value; plaintext (legacy data) is returned unchanged
+ * @param {Array} keys - Derived keys to try, matched by key ID
+ * @param {string} value - Stored value
+ * @returns {Promise<string>} Plaintext
+ * @throws {Error} If no key matches or the data doesn't authenticate
+ */
+export async function decryptText(keys, value) {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, iv, data] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const key = keys.find(k => k.id === keyId);
+  if (!key) throw new Error('Encrypted with a different passphrase');
+
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key.cryptoKey, fromBase64(data));
+    return decoder.decode(plain);
+  } catch (err) {
+    throw new Error('Encrypted data is damaged or the passphrase is wrong');
+  }
+}
@@ -1,6 +1,7 @@
 /**
  * Database Operations Module
- * Handles all Firestore CRUD operations for chat data
+ * Firebase storage backend: Firestore CRUD operations for chat data, synced
+ * across devices. local-db.js implements the same functions on IndexedDB.
  */
 
 import {
@@ -17,10 +18,21 @@ import {
   limit,
   serverTimestamp,
   onSnapshot,
-  writeBatch
+  writeBatch,
+  deleteField
 } from 'https://www.gstatic.com/firebasejs/10.8.0/firebase-firestore.js';
 
-import { getDb, getUserId } from './firebase-config.js';
+import { initializeFirebase, signInAnonymousUser, getDb, getUserId } from './firebase-config.js';
+import {
+  generateMessageId,
+  normalizeChat,
+  normalizeMessage,
+  resolveActivePath,
+  matchMessages
+} from './chat-data.js';
+import { isEncrypted, deriveKey, verifyKey, getKeyId, encryptText, decryptText } from './crypto.js';
+
+export { getUserId };
 
 // Conditional logging
 const DEBUG = false;
@@ -28,39 +40,116 @@ function log(...args) {
   if (DEBUG) console.log(...args);
 }
 
+// Encryption of chat text (see crypto.js); off until the user sets a passphrase
+
+// Shown instead of text no unlocked key can decrypt
+const LOCKED_TEXT = '🔒 Encrypted with another passphrase';
+// Batched writes are limited to 500 operations
+const BATCH_SIZE = 400;
+// Message fields with chat text besides content and reasoning (tool arguments,
+// file names, model output); sealed whole, as JSON
+const SEALED_MESSAGE_FIELDS = ['toolCall', 'sources', 'validationErrors'];
+// Profile fields the user wrote (facts about them, persona prompts and
+// starters, prompt templates); sealed whole, as JSON
+const SEALED_PROFILE_FIELDS = ['memories', 'personas', 'prompts'];
+
+let encryption = null; // Profile params { salt, iterations, check, previous? }, null when off
+let currentKey = null;
+let previousKey = null; // Key of an unfinished passphrase change
+
 /**
- * Escape HTML to prevent XSS
- * @param {string} text - Text to escape
- * @returns {string} Escaped text
+ * Encrypt text for storage when encryption is on
+ * @param {string} text - Plaintext
+ * @returns {Promise<string>}
  */
-export function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+async function sealText(text) {
+  if (!encryption || typeof text !== 'string') return text;
+  if (!currentKey) throw new Error('Encrypted chats are locked');
+  return encryptText(currentKey, text);
 }
 
 /**
- * Generate a custom message ID in format: YYYYMMDDHHMMSS-XX
- * Model name is stored inside the message document as `modelId` field
- * @returns {string} Custom message ID
+ * Decrypt stored text; plaintext (legacy or unencrypted) passes through
+ * @param {string} value - Stored value
+ * @returns {Promise<string>}
  */
-export function generateMessageId() {
-  const now = new Date();
+async function openText(value) {
+  if (!isEncrypted(value)) return value;
+  try {
+    return await decryptText([currentKey, previousKey].filter(Boolean), value);
+  } catch (err) {
+    log('[DB] Cannot decrypt:', err.message);
+    return LOCKED_TEXT;
+  }
+}
 
-  // Format: YYYYMMDDHHMMSS
-  const timestamp = now.getFullYear().toString() +
-    String(now.getMonth() + 1).padStart(2, '0') +
-    String(now.getDate()).padStart(2, '0') +
-    String(now.getHours()).padStart(2, '0') +
-    String(now.getMinutes()).padStart(2, '0') +
-    String(now.getSeconds()).padStart(2, '0');
+/**
+ * Encrypt a structured value (object or array) as JSON when encryption is on
+ * @param {*} value - Value to store
+ * @returns {Promise<*>} Ciphertext, or the value itself when encryption is off
+ */
+async function sealJSON(value) {
+  if (!encryption || value === undefined || value === null) return value;
+  return sealText(JSON.stringify(value));
+}
 
-  // Generate 2 random letters
-  const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  const randomLetters = letters.charAt(Math.floor(Math.random() * 26)) +
-    letters.charAt(Math.floor(Math.random() * 26));
+/**
+ * Decrypt a value stored by sealJSON(); unencrypted values pass through
+ * @param {*} value - Stored value
+ * @returns {Promise<*>} The value, or null if it can't be decrypted
+ */
+async function openJSON(value) {
+  if (!isEncrypted(value)) return value;
+  try {
+    return JSON.parse(await openText(value));
+  } catch (err) {
+    return null; // Locked: openText() gave the placeholder text
+  }
+}
+
+/**
+ * Encrypt the text fields of a chat write
+ * @param {Object} data - Chat fields
+ * @returns {Promise<Object>}
+ */
+async function sealChatFields(data) {
+  const sealed = { ...data };
+  if ('title' in data) sealed.title = await sealText(data.title);
+  if (typeof data.settings?.systemPrompt === 'string') {
+    sealed.settings = { ...data.settings, systemPrompt: await sealText(data.settings.systemPrompt) };
+  }
+  return sealed;
+}
 
-  return `${timestamp}-${randomLetters}`;
+/**
+ * Encrypt the text fields of a message's extra data
+ * Image names are sealed one by one, so images stay a list
+ * @param {Object} extra - Extra message fields
+ * @returns {Promise<Object>}
+ */
+async function sealMessageFields(extra) {
+  const sealed = { ...extra };
+  if ('reasoning' in extra) sealed.reasoning = await sealText(extra.reasoning);
+  for (const field of SEALED_MESSAGE_FIELDS) {
+    if (field in extra) sealed[field] = await sealJSON(extra[field]);
+  }
+  if (Array.isArray(extra.images)) {
+    sealed.images = await Promise.all(extra.images.map(async image => (
+      typeof image.name === 'string' ? { ...image, name: await sealText(image.name) } : image
+    )));
+  }
+  return sealed;
+}
+
+/**
+ * Initialize Firebase, sign in and touch the profile
+ * @returns {Promise<void>}
+ */
+export async function connect() {
+  await initializeFirebase();
+  await signInAnonymousUser();
+  await createUserProfile();
+  encryption = (await getUserProfile()).encryption || null;
 }
 
 /**
@@ -91,12 +180,52 @@ export async function createUserProfile() {
   }
 }
 
+/**
+ * Get the user profile document
+ * @returns {Promise<Object>} Profile data (empty object if missing)
+ */
+export async function getUserProfile() {
+  const userId = getUserId();
+  if (!userId) throw new Error('User not authenticated');
+
+  const db = getDb();
+  const profileRef = doc(db, 'users', userId, 'profile', 'info');
+  const profileSnap = await getDoc(profileRef);
+
+  const profile = profileSnap.exists() ? profileSnap.data() : {};
+  for (const field of SEALED_PROFILE_FIELDS) {
+    if (profile[field]) profile[field] = await openJSON(profile[field]);
+  }
+  return profile;
+}
+
+/**
+ * Update fields on the user profile document
+ * @param {Object} data - Fields to update
+ * @returns {Promise<void>}
+ */
+export async function updateUserProfile(data) {
+  const userId = getUserId();
+  if (!userId) throw new Error('User not authenticated');
+
+  const db = getDb();
+  const profileRef = doc(db, 'users', userId, 'profile', 'info');
+
+  const fields = { ...data };
+  for (const field of SEALED_PROFILE_FIELDS) {
+    if (field in data) fields[field] = await sealJSON(data[field]);
+  }
+  await setDoc(profileRef, fields, { merge: true });
+  log('[DB] Updated user profile:', Object.keys(data));
+}
+
 /**
  * Create a new chat
  * @param {string} title - Chat title (optional, will be generated)
+ * @param {Object} data - Initial fields, e.g. { personaId, settings }
  * @returns {Promise<string>} Chat ID
  */
-export async function createChat(title = 'New Chat') {
+export async function createChat(title = 'New Chat', data = {}) {
   const userId = getUserId();
   if (!userId) throw new Error('User not authenticated');
 
@@ -104,7 +233,7 @@ export async function createChat(title = 'New Chat') {
   const chatsRef = collection(db, 'users', userId, 'chats');
 
   const chatDoc = await addDoc(chatsRef, {
-    title: title,
+    ...(await sealChatFields({ ...data, title })),
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp(),
     messageCount: 0
@@ -128,16 +257,7 @@ export async function getChats(maxChats = 50) {
   const q = query(chatsRef, orderBy('updatedAt', 'desc'), limit(maxChats));
 
   const snapshot = await getDocs(q);
-  const chats = [];
-
-  snapshot.forEach((doc) => {
-    chats.push({
-      id: doc.id,
-      ...doc.data()
-    });
-  });
-
-  return chats;
+  return Promise.all(snapshot.docs.map(toChat));
 }
 
 /**
@@ -154,7 +274,7 @@ export async function getChat(chatId) {
   const chatSnap = await getDoc(chatRef);
 
   if (chatSnap.exists()) {
-    return { id: chatSnap.id, ...chatSnap.data() };
+    return toChat(chatSnap);
   }
   return null;
 }
@@ -173,11 +293,34 @@ export async function updateChat(chatId, data) {
   const chatRef = doc(db, 'users', userId, 'chats', chatId);
 
   await updateDoc(chatRef, {
-    ...data,
+    ...(await sealChatFields(data)),
     updatedAt: serverTimestamp()
   });
 }
 
+/**
+ * Save a chat's rolling context summary
+ * Doesn't touch updatedAt: summarizing isn't chat activity
+ * @param {string} chatId - Chat ID
+ * @param {Object} summary - { text, coveredUntilId }
+ * @returns {Promise<void>}
+ */
+export async function updateChatSummary(chatId, summary) {
+  const userId = getUserId();
+  if (!userId) throw new Error('User not authenticated');
+
+  const db = getDb();
+  const chatRef = doc(db, 'users', userId, 'chats', chatId);
+
+  await updateDoc(chatRef, {
+    summary: {
+      text: await sealText(summary.text),
+      coveredUntilId: summary.coveredUntilId,
+      updatedAt: serverTimestamp()
+    }
+  });
+}
+
 /**
  * Delete a chat and all its messages
  * @param {string} chatId - Chat ID
@@ -212,9 +355,10 @@ export async function deleteChat(chatId) {
  * @param {string} role - Message role ('user' or 'assistant')
  * @param {string} content - Message content
  * @param {string} modelId - The LLM model ID used
+ * @param {Object} extra - Additional message fields (e.g. { truncated: true })
  * @returns {Promise<string>} Message ID
  */
-export async function addMessage(chatId, role, content, modelId = 'unknown') {
+export async function addMessage(chatId, role, content, modelId = 'unknown', extra = {}) {
   const userId = getUserId();
   if (!userId) throw new Error('User not authenticated');
 
@@ -225,8 +369,9 @@ export async function addMessage(chatId, role, content, modelId = 'unknown') {
   const messageRef = doc(db, 'users', userId, 'chats', chatId, 'messages', messageId);
 
   await setDoc(messageRef, {
+    ...(await sealMessageFields(extra)),
     role,
-    content,
+    content: await sealText(content),
     modelId,
     timestamp: serverTimestamp(),
     feedback: null // null = no feedback, 'up' = thumbs up, 'down' = thumbs down
@@ -267,12 +412,86 @@ export async function updateMessageFeedback(chatId, messageId, feedback) {
 }
 
 /**
- * Get messages for a chat
+ * Pin or unpin a message; pinned messages are never dropped from the model's context
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @param {boolean} pinned - New pinned state
+ * @returns {Promise<void>}
+ */
+export async function updateMessagePinned(chatId, messageId, pinned) {
+  const userId = getUserId();
+  if (!userId) throw new Error('User not authenticated');
+
+  const db = getDb();
+  const messageRef = doc(db, 'users', userId, 'chats', chatId, 'messages', messageId);
+
+  await updateDoc(messageRef, { pinned });
+  log('[DB] Updated pin for message:', messageId, pinned);
+}
+
+/**
+ * Convert a Firestore chat snapshot to a chat object, decrypting its text
+ * @param {Object} docSnap - Chat document snapshot
+ * @returns {Promise<Object>} Chat object
+ */
+async function toChat(docSnap) {
+  // Estimate pending server timestamps so fresh local writes sort correctly
+  const data = docSnap.data({ serverTimestamps: 'estimate' });
+  data.title = await openText(data.title);
+  if (data.summary) data.summary = { ...data.summary, text: await openText(data.summary.text) };
+  if (data.settings?.systemPrompt !== undefined) {
+    data.settings = { ...data.settings, systemPrompt: await openText(data.settings.systemPrompt) };
+  }
+  return normalizeChat(docSnap.id, data);
+}
+
+/**
+ * Convert a Firestore message snapshot to a plain message object, decrypting its text
+ * @param {Object} docSnap - Message document snapshot
+ * @returns {Promise<Object>} Message object
+ */
+async function toMessage(docSnap) {
+  // Estimate pending server timestamps so fresh local writes sort correctly
+  const data = docSnap.data({ serverTimestamps: 'estimate' });
+  data.content = await openText(data.content);
+  if (data.reasoning !== undefined) data.reasoning = await openText(data.reasoning);
+  for (const field of SEALED_MESSAGE_FIELDS) {
+    if (data[field] !== undefined) data[field] = await openJSON(data[field]);
+  }
+  if (Array.isArray(data.images)) {
+    data.images = await Promise.all(data.images.map(async image => ({ ...image, name: await openText(image.name) })));
+  }
+  return normalizeMessage(docSnap.id, data);
+}
+
+/**
+ * Make a message the active one among its siblings
+ * The conversation then continues along this message's branch
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID to select
+ * @returns {Promise<void>}
+ */
+export async function selectMessageBranch(chatId, messageId) {
+  const userId = getUserId();
+  if (!userId) throw new Error('User not authenticated');
+
+  const db = getDb();
+  const messageRef = doc(db, 'users', userId, 'chats', chatId, 'messages', messageId);
+
+  await updateDoc(messageRef, {
+    selectedAt: serverTimestamp()
+  });
+
+  log('[DB] Selected branch:', messageId);
+}
+
+/**
+ * Get the active branch of messages for a chat
  * @param {string} chatId - Chat ID
- * @param {number} maxMessages - Maximum messages to retrieve
- * @returns {Promise<Array>} Array of message objects
+ * @param {number} maxMessages - Maximum messages to retrieve (all branches count)
+ * @returns {Promise<Array>} Array of message objects on the active path
  */
-export async function getMessages(chatId, maxMessages = 100) {
+export async function getMessages(chatId, maxMessages = 1000) {
   const userId = getUserId();
   if (!userId) throw new Error('User not authenticated');
 
@@ -281,27 +500,92 @@ export async function getMessages(chatId, maxMessages = 100) {
   const q = query(messagesRef, orderBy('timestamp', 'asc'), limit(maxMessages));
 
   const snapshot = await getDocs(q);
-  const messages = [];
-
-  snapshot.forEach((docSnap) => {
-    const data = docSnap.data();
-    messages.push({
-      id: docSnap.id,
-      role: data.role,
-      content: data.content,
-      modelId: data.modelId || null,
-      feedback: data.feedback || null,
-      timestamp: data.timestamp?.toDate?.() || new Date()
+  const messages = await Promise.all(snapshot.docs.map(toMessage));
+
+  return resolveActivePath(messages);
+}
+
+/**
+ * Search the user's recent chats for messages containing some text
+ * Firestore has no full-text search, so recent messages are scanned client-side
+ * @param {string} text - Text to look for (case-insensitive)
+ * @param {Object} options - { maxChats, maxResults }
+ * @returns {Promise<Array>} Matches { chatId, chatTitle, role, content, timestamp }, newest chats first
+ */
+export async function searchMessages(text, { maxChats = 20, maxResults = 5 } = {}) {
+  const userId = getUserId();
+  if (!userId) throw new Error('User not authenticated');
+
+  const needle = text.trim().toLowerCase();
+  if (!needle) return [];
+
+  const db = getDb();
+  const chats = await getChats(maxChats);
+  const results = [];
+
+  for (const chat of chats) {
+    const messagesRef = collection(db, 'users', userId, 'chats', chat.id, 'messages');
+    const snapshot = await getDocs(query(messagesRef, orderBy('timestamp', 'desc'), limit(200)));
+
+    results.push(...matchMessages(chat, await Promise.all(snapshot.docs.map(toMessage)), needle));
+
+    if (results.length >= maxResults) break;
+  }
+
+  log('[DB] Search for', needle, 'found', results.length, 'matches');
+  return results.slice(0, maxResults);
+}
+
+/**
+ * Collect performance stats of recent responses across chats
+ * @param {Object} options - { maxChats }
+ * @returns {Promise<Array>} Entries { modelId, stats }
+ */
+export async function getGenerationStats({ maxChats = 20 } = {}) {
+  const userId = getUserId();
+  if (!userId) throw new Error('User not authenticated');
+
+  const db = getDb();
+  const chats = await getChats(maxChats);
+  const entries = [];
+
+  for (const chat of chats) {
+    const messagesRef = collection(db, 'users', userId, 'chats', chat.id, 'messages');
+    const snapshot = await getDocs(query(messagesRef, orderBy('timestamp', 'desc'), limit(200)));
+
+    // Stats aren't encrypted, so the raw data is enough
+    snapshot.forEach((docSnap) => {
+      const data = docSnap.data();
+      if (data.role === 'assistant' && data.stats) {
+        entries.push({ modelId: data.modelId || null, stats: data.stats });
+      }
     });
-  });
+  }
 
-  return messages;
+  log('[DB] Loaded stats for', entries.length, 'responses');
+  return entries;
+}
+
+/**
+ * Build a snapshot handler whose async conversion (decryption) can't deliver
+ * results out of order: only the newest snapshot's result reaches the callback
+ * @param {Function} convert - (snapshot) => Promise of the callback's argument
+ * @param {Function} callback - Subscriber
+ * @returns {Function} Snapshot handler
+ */
+function latestOnly(convert, callback) {
+  let latest = 0;
+  return async (snapshot) => {
+    const run = ++latest;
+    const result = await convert(snapshot);
+    if (run === latest) callback(result);
+  };
 }
 
 /**
  * Subscribe to messages in real-time
  * @param {string} chatId - Chat ID
- * @param {Function} callback - Called with messages array on changes
+ * @param {Function} callback - Called with the active path on changes
  * @returns {Function} Unsubscribe function
  */
 export function subscribeToMessages(chatId, callback) {
@@ -315,21 +599,10 @@ export function subscribeToMessages(chatId, callback) {
   const messagesRef = collection(db, 'users', userId, 'chats', chatId, 'messages');
   const q = query(messagesRef, orderBy('timestamp', 'asc'));
 
-  return onSnapshot(q, (snapshot) => {
-    const messages = [];
-    snapshot.forEach((docSnap) => {
-      const data = docSnap.data();
-      messages.push({
-        id: docSnap.id,
-        role: data.role,
-        content: data.content,
-        modelId: data.modelId || null,
-        feedback: data.feedback || null,
-        timestamp: data.timestamp?.toDate?.() || new Date()
-      });
-    });
-    callback(messages);
-  }, (error) => {
+  return onSnapshot(q, latestOnly(async (snapshot) => {
+    const messages = await Promise.all(snapshot.docs.map(toMessage));
+    return resolveActivePath(messages);
+  }, callback), (error) => {
     console.error('[DB] Subscription error:', error);
   });
 }
@@ -350,16 +623,10 @@ export function subscribeToChats(callback) {
   const chatsRef = collection(db, 'users', userId, 'chats');
   const q = query(chatsRef, orderBy('updatedAt', 'desc'));
 
-  return onSnapshot(q, (snapshot) => {
-    const chats = [];
-    snapshot.forEach((doc) => {
-      chats.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-    callback(chats);
-  }, (error) => {
+  return onSnapshot(q, latestOnly(
+    (snapshot) => Promise.all(snapshot.docs.map(toChat)),
+    callback
+  ), (error) => {
     console.error('[DB] Chats subscription error:', error);
   });
 }
@@ -385,24 +652,212 @@ export async function deleteAllUserData() {
   // Delete profile
   const profileRef = doc(db, 'users', userId, 'profile', 'info');
   await deleteDoc(profileRef);
+  encryption = null;
+  currentKey = null;
+  previousKey = null;
 
   log('[DB] Deleted all user data');
 }
 
 /**
- * Generate a chat title from first message
- * @param {string} content - First message content
- * @returns {string} Generated title
+ * Make sure no other device changed the encryption since this session started
+ * Re-keying on stale params would leave data no passphrase can decrypt
+ */
+async function checkEncryptionParams() {
+  const stored = (await getUserProfile()).encryption || null;
+  if (stored?.salt !== encryption?.salt) {
+    throw new Error('Encryption was changed on another device. Reload the page first.');
+  }
+}
+
+/**
+ * Get the encryption state of the synced data
+ * @returns {Object} { enabled, unlocked, unfinishedChange }
  */
-export function generateChatTitle(content) {
-  // Take first 50 chars, cut at last word boundary
-  let title = content.slice(0, 50);
-  if (content.length > 50) {
-    const lastSpace = title.lastIndexOf(' ');
-    if (lastSpace > 20) {
-      title = title.slice(0, lastSpace);
+export function getEncryptionState() {
+  return {
+    enabled: Boolean(encryption),
+    unlocked: Boolean(currentKey),
+    // A passphrase change was interrupted: some data still uses the previous key
+    unfinishedChange: Boolean(encryption?.previous) && !previousKey
+  };
+}
+
+/**
+ * Unlock encrypted chats for this session
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+export async function unlockEncryption(passphrase) {
+  if (!encryption) throw new Error('Encryption is not turned on');
+
+  const { key } = await deriveKey(passphrase, encryption);
+  if (!(await verifyKey(key, encryption))) return false;
+
+  currentKey = key;
+  log('[DB] Unlocked encrypted chats');
+  return true;
+}
+
+/**
+ * Turn on encryption and encrypt all existing chats
+ * @param {string} passphrase - New passphrase
+ * @param {Function} onProgress - (done, total) chats re-encrypted
+ * @returns {Promise<number>} Values that couldn't be decrypted (left as they were)
+ */
+export async function enableEncryption(passphrase, onProgress) {
+  await checkEncryptionParams();
+  if (encryption) throw new Error('Encryption is already turned on');
+
+  const { key, params } = await deriveKey(passphrase);
+  // Saved first: if re-encryption is interrupted, the rest is plaintext, still readable
+  await updateUserProfile({ encryption: params });
+  encryption = params;
+  currentKey = key;
+
+  return reencryptAll(onProgress);
+}
+
+/**
+ * Change the passphrase and re-encrypt all chats with the new key
+ * @param {string} passphrase - New passphrase
+ * @param {Function} onProgress - (done, total) chats re-encrypted
+ * @returns {Promise<number>} Values that couldn't be decrypted (left as they were)
+ */
+export async function changeEncryptionPassphrase(passphrase, onProgress) {
+  if (!currentKey) throw new Error('Encrypted chats are locked');
+  await checkEncryptionParams();
+  if (getEncryptionState().unfinishedChange) throw new Error('Finish the previous passphrase change first');
+
+  const { key, params } = await deriveKey(passphrase);
+  const { salt, iterations, check } = encryption;
+  // Keep the old params until everything is re-encrypted, so an interrupted
+  // change can be finished with the old passphrase
+  const pending = { ...params, previous: { salt, iterations, check } };
+  await updateUserProfile({ encryption: pending });
+  encryption = pending;
+  previousKey = currentKey;
+  currentKey = key;
+
+  return completePassphraseChange(onProgress);
+}
+
+/**
+ * Finish an interrupted passphrase change
+ * @param {string} previousPassphrase - Passphrase before the change
+ * @param {Function} onProgress - (done, total) chats re-encrypted
+ * @returns {Promise<number|null>} Values that couldn't be decrypted, or null if the passphrase is wrong
+ */
+export async function finishPassphraseChange(previousPassphrase, onProgress) {
+  if (!currentKey) throw new Error('Encrypted chats are locked');
+  if (!encryption?.previous) throw new Error('No passphrase change to finish');
+
+  const { key } = await deriveKey(previousPassphrase, encryption.previous);
+  if (!(await verifyKey(key, encryption.previous))) return null;
+  previousKey = key;
+
+  return completePassphraseChange(onProgress);
+}
+
+async function completePassphraseChange(onProgress) {
+  const failed = await reencryptAll(onProgress);
+
+  const { previous, ...params } = encryption;
+  await updateUserProfile({ encryption: { ...params, previous: deleteField() } });
+  encryption = params;
+  previousKey = null;
+
+  log('[DB] Passphrase change complete');
+  return failed;
+}
+
+/**
+ * Encrypt every chat title, summary, system prompt and message, and the
+ * profile's memories, personas and prompts, with the current key
+ * Rewrites plaintext (legacy data, or data written by a device that didn't
+ * know encryption was on) and values under the previous key
+ * @param {Function} onProgress - (done, total) chats re-encrypted
+ * @returns {Promise<number>} Values that couldn't be decrypted (left as they were)
+ */
+export async function reencryptAll(onProgress = () => {}) {
+  const userId = getUserId();
+  if (!userId) throw new Error('User not authenticated');
+  if (!currentKey) throw new Error('Encrypted chats are locked');
+
+  const db = getDb();
+  let failed = 0;
+
+  // New ciphertext for a value, or null if it's already current (or undecryptable)
+  const reseal = async (value) => {
+    if (typeof value !== 'string' || getKeyId(value) === currentKey.id) return null;
+    try {
+      const plain = await decryptText([previousKey].filter(Boolean), value);
+      return plain ? encryptText(currentKey, plain) : null;
+    } catch (err) {
+      failed++;
+      return null;
+    }
+  };
+  // Same for a sealJSON() field; unencrypted ones are still objects or arrays
+  const resealJSON = (value) => reseal(value === undefined || value === null || typeof value === 'string'
+    ? value
+    : JSON.stringify(value));
+
+  const profileRef = doc(db, 'users', userId, 'profile', 'info');
+  const profile = (await getDoc(profileRef)).data() || {};
+  const profileFields = {};
+  for (const field of SEALED_PROFILE_FIELDS) {
+    const value = await resealJSON(profile[field]);
+    if (value) profileFields[field] = value;
+  }
+  if (Object.keys(profileFields).length > 0) await updateDoc(profileRef, profileFields);
+
+  const chatsSnap = await getDocs(collection(db, 'users', userId, 'chats'));
+  let done = 0;
+
+  for (const chatSnap of chatsSnap.docs) {
+    const updates = [];
+
+    const chat = chatSnap.data();
+    const chatFields = {};
+    const title = await reseal(chat.title);
+    if (title) chatFields.title = title;
+    const summaryText = await reseal(chat.summary?.text);
+    if (summaryText) chatFields['summary.text'] = summaryText;
+    const systemPrompt = await reseal(chat.settings?.systemPrompt);
+    if (systemPrompt) chatFields['settings.systemPrompt'] = systemPrompt;
+    if (Object.keys(chatFields).length > 0) updates.push([chatSnap.ref, chatFields]);
+
+    const messagesSnap = await getDocs(collection(chatSnap.ref, 'messages'));
+    for (const messageSnap of messagesSnap.docs) {
+      const message = messageSnap.data();
+      const fields = {};
+      const content = await reseal(message.content);
+      if (content) fields.content = content;
+      const reasoning = await reseal(message.reasoning);
+      if (reasoning) fields.reasoning = reasoning;
+      for (const field of SEALED_MESSAGE_FIELDS) {
+        const value = await resealJSON(message[field]);
+        if (value) fields[field] = value;
+      }
+      if (Array.isArray(message.images)) {
+        const names = await Promise.all(message.images.map(image => reseal(image.name)));
+        if (names.some(Boolean)) {
+          fields.images = message.images.map((image, i) => (names[i] ? { ...image, name: names[i] } : image));
+        }
+      }
+      if (Object.keys(fields).length > 0) updates.push([messageSnap.ref, fields]);
+    }
+
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      updates.slice(i, i + BATCH_SIZE).forEach(([ref, fields]) => batch.update(ref, fields));
+      await batch.commit();
     }
-    title += '...';
+
+    onProgress(++done, chatsSnap.size);
   }
-  return title;
+
+  log('[DB] Re-encrypted', done, 'chats;', failed, 'values could not be decrypted');
+  return failed;
 }
@@ -0,0 +1,339 @@
+/**
+ * Model Download Module
+ * Pre-fetches model files into the same Cache Storage entries WebLLM reads,
+ * so a model can be downloaded without loading it onto the GPU
+ */
+
+// Conditional logging
+const DEBUG = false;
+function log(...args) {
+  if (DEBUG) console.log(...args);
+}
+
+// Cache names used by WebLLM's Cache Storage backend
+const MODEL_CACHE = 'webllm/model';
+const CONFIG_CACHE = 'webllm/config';
+const WASM_CACHE = 'webllm/wasm';
+
+const MAX_FILE_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+const PROGRESS_INTERVAL_MS = 250;
+
+export const DOWNLOAD_STATUS = {
+  NOT_DOWNLOADED: 'not-downloaded',
+  CHECKING: 'checking',
+  DOWNLOADING: 'downloading',
+  PARTIAL: 'partial',
+  COMPLETE: 'complete',
+  ERROR: 'error'
+};
+
+/**
+ * Normalize a model repository URL the way WebLLM does
+ * (https://huggingface.co/org/model -> https://huggingface.co/org/model/resolve/main/)
+ */
+export function cleanModelUrl(url) {
+  let cleaned = url.endsWith('/') ? url : `${url}/`;
+  if (!/.+\/resolve\/.+\//.test(cleaned)) cleaned += 'resolve/main/';
+  return cleaned;
+}
+
+function fileName(url) {
+  return url.split('/').pop() || url;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a JSON manifest from the cache, fetching and caching it if allowed
+ * @returns {Promise<Object|null>} Parsed JSON, or null if not cached and network is off
+ */
+async function fetchManifest(cacheName, url, { network, signal }) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(url);
+  if (cached) return cached.json();
+  if (!network) return null;
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} fetching ${fileName(url)}`);
+  }
+  await cache.put(url, response.clone());
+  return response.json();
+}
+
+/**
+ * List every file WebLLM needs for a model
+ * @param {Object} record - model_list entry from the app config
+ * @param {Object} options - { network, signal }; without network only cached manifests are used
+ * @returns {Promise<Array|null>} Files { url, cacheName, bytes? }, or null if the manifests aren't available
+ */
+async function resolveFiles(record, { network = false, signal } = {}) {
+  const baseUrl = cleanModelUrl(record.model);
+  const configUrl = new URL('mlc-chat-config.json', baseUrl).href;
+  const ndarrayUrl = new URL('ndarray-cache.json', baseUrl).href;
+
+  const config = await fetchManifest(CONFIG_CACHE, configUrl, { network, signal });
+  if (!config) return null;
+  const ndarrayCache = await fetchManifest(MODEL_CACHE, ndarrayUrl, { network, signal });
+  if (!ndarrayCache) return null;
+
+  // WebLLM prefers tokenizer.json and falls back to a SentencePiece model
+  const tokenizerFile = ['tokenizer.json', 'tokenizer.model']
+    .find(f => config.tokenizer_files?.includes(f));
+
+  return [
+    { url: configUrl, cacheName: CONFIG_CACHE },
+    { url: ndarrayUrl, cacheName: MODEL_CACHE },
+    ...(tokenizerFile ? [{ url: new URL(tokenizerFile, baseUrl).href, cacheName: MODEL_CACHE }] : []),
+    ...ndarrayCache.records.map(shard => ({
+      url: new URL(shard.dataPath, baseUrl).href,
+      cacheName: MODEL_CACHE,
+      bytes: shard.nbytes
+    })),
+    { url: record.model_lib, cacheName: WASM_CACHE }
+  ];
+}
+
+/**
+ * Check whether a file is in the cache (and, if requested, complete)
+ * @returns {Promise<boolean>}
+ */
+async function isFileCached(file, verifySize) {
+  const cache = await caches.open(file.cacheName);
+  const response = await cache.match(file.url);
+  if (!response) return false;
+  if (!verifySize || !file.bytes) return true;
+
+  const length = parseInt(response.headers.get('Content-Length'), 10);
+  if (length === file.bytes) return true;
+  return (await response.blob()).size === file.bytes;
+}
+
+/**
+ * Download one file into its cache, retrying transient failures
+ * @param {Object} file - { url, cacheName, bytes? }
+ * @param {AbortSignal} signal - Cancels the download
+ * @param {Function} onProgress - Called with bytes received for this file
+ */
+async function downloadFile(file, signal, onProgress) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetch(file.url, { signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} fetching ${fileName(file.url)}`);
+      }
+
+      const reader = response.body.getReader();
+      const chunks = [];
+      let received = 0;
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        onProgress(received);
+      }
+
+      if (file.bytes && received !== file.bytes) {
+        throw new Error(`Incomplete download of ${fileName(file.url)}`);
+      }
+
+      const blob = new Blob(chunks);
+      const headers = new Headers({ 'Content-Length': String(blob.size) });
+      const contentType = response.headers.get('Content-Type');
+      if (contentType) headers.set('Content-Type', contentType);
+
+      const cache = await caches.open(file.cacheName);
+      await cache.put(file.url, new Response(blob, { headers }));
+      return;
+    } catch (err) {
+      if (signal.aborted || err.name === 'QuotaExceededError' || attempt >= MAX_FILE_ATTEMPTS) {
+        throw err;
+      }
+      log('[Download] Retrying', fileName(file.url), 'after error:', err.message);
+      onProgress(0);
+      await delay(RETRY_DELAY_MS * attempt);
+      if (signal.aborted) throw new DOMException('Download cancelled', 'AbortError');
+    }
+  }
+}
+
+function sumBytes(files) {
+  return files.reduce((sum, f) => sum + (f.bytes || 0), 0);
+}
+
+/**
+ * Create a download manager that tracks per-model progress
+ * @param {Object} options - { getAppConfig, onChange(modelId, state) }
+ * @returns {Object} Download manager
+ */
+export function createDownloadManager({ getAppConfig, onChange }) {
+  const states = new Map();
+  const controllers = new Map();
+
+  function getState(modelId) {
+    return states.get(modelId) || {
+      status: DOWNLOAD_STATUS.NOT_DOWNLOADED,
+      loadedBytes: 0,
+      totalBytes: 0,
+      filesDone: 0,
+      filesTotal: 0,
+      error: null
+    };
+  }
+
+  function setState(modelId, patch) {
+    states.set(modelId, { ...getState(modelId), ...patch });
+    if (onChange) onChange(modelId, getState(modelId));
+  }
+
+  function findRecord(modelId) {
+    const record = getAppConfig().model_list.find(m => m.model_id === modelId);
+    if (!record) throw new Error(`Unknown model: ${modelId}`);
+    return record;
+  }
+
+  /**
+   * Work out how much of a model is already cached (no network)
+   * @param {string} modelId - Model ID
+   * @param {Object} options - { verifySize } also checks every shard is complete
+   */
+  async function check(modelId, { verifySize = false } = {}) {
+    if (controllers.has(modelId)) return getState(modelId);
+    setState(modelId, { status: DOWNLOAD_STATUS.CHECKING, error: null });
+
+    try {
+      const files = await resolveFiles(findRecord(modelId));
+      if (!files) {
+        setState(modelId, { status: DOWNLOAD_STATUS.NOT_DOWNLOADED, loadedBytes: 0, totalBytes: 0, filesDone: 0, filesTotal: 0 });
+        return getState(modelId);
+      }
+
+      let filesDone = 0;
+      let loadedBytes = 0;
+      for (const file of files) {
+        if (await isFileCached(file, verifySize)) {
+          filesDone++;
+          loadedBytes += file.bytes || 0;
+        }
+      }
+
+      setState(modelId, {
+        status: filesDone === files.length ? DOWNLOAD_STATUS.COMPLETE : DOWNLOAD_STATUS.PARTIAL,
+        loadedBytes,
+        totalBytes: sumBytes(files),
+        filesDone,
+        filesTotal: files.length
+      });
+    } catch (err) {
+      console.error('[Download] Error checking cache:', err);
+      setState(modelId, { status: DOWNLOAD_STATUS.ERROR, error: err.message });
+    }
+    return getState(modelId);
+  }
+
+  /**
+   * Download every missing file for a model; already cached files are skipped,
+   * so calling this again resumes a cancelled or failed download
+   * @param {string} modelId - Model ID
+   */
+  async function download(modelId) {
+    if (controllers.has(modelId)) return getState(modelId);
+
+    const controller = new AbortController();
+    controllers.set(modelId, controller);
+    setState(modelId, { status: DOWNLOAD_STATUS.DOWNLOADING, error: null });
+
+    // Ask the browser not to evict multi-GB downloads under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
+
+    try {
+      const files = await resolveFiles(findRecord(modelId), { network: true, signal: controller.signal });
+      let filesDone = 0;
+      let loadedBytes = 0;
+      setState(modelId, { totalBytes: sumBytes(files), filesTotal: files.length, filesDone, loadedBytes });
+
+      for (const file of files) {
+        if (!(await isFileCached(file, true))) {
+          let lastUpdate = 0;
+          await downloadFile(file, controller.signal, (received) => {
+            const now = Date.now();
+            if (now - lastUpdate < PROGRESS_INTERVAL_MS) return;
+            lastUpdate = now;
+            setState(modelId, { loadedBytes: loadedBytes + Math.min(received, file.bytes || received) });
+          });
+        }
+        filesDone++;
+        loadedBytes += file.bytes || 0;
+        setState(modelId, { filesDone, loadedBytes });
+      }
+
+      log('[Download] Finished', modelId);
+    } catch (err) {
+      if (controller.signal.aborted) {
+        log('[Download] Cancelled', modelId);
+      } else {
+        console.error('[Download] Error downloading model:', err);
+        const message = err.name === 'QuotaExceededError'
+          ? 'Not enough browser storage for this model'
+          : err.message;
+        setState(modelId, { status: DOWNLOAD_STATUS.ERROR, error: message });
+        return getState(modelId);
+      }
+    } finally {
+      controllers.delete(modelId);
+    }
+
+    // Confirm every shard actually landed in the cache
+    const state = await check(modelId, { verifySize: true });
+    if (state.status === DOWNLOAD_STATUS.PARTIAL && !controller.signal.aborted) {
+      setState(modelId, {
+        status: DOWNLOAD_STATUS.ERROR,
+        error: `${state.filesTotal - state.filesDone} files missing after download`
+      });
+    }
+    return getState(modelId);
+  }
+
+  /**
+   * Cancel an in-progress download; finished files stay cached
+   * @param {string} modelId - Model ID
+   */
+  function cancel(modelId) {
+    controllers.get(modelId)?.abort();
+  }
+
+  /**
+   * Delete a model's files from the cache
+   * @param {string} modelId - Model ID
+   */
+  async function remove(modelId) {
+    cancel(modelId);
+    const files = await resolveFiles(findRecord(modelId));
+    if (files) {
+      // Delete the manifests last so a partial delete can still be found
+      for (const file of files.reverse()) {
+        const cache = await caches.open(file.cacheName);
+        await cache.delete(file.url);
+      }
+    }
+    states.delete(modelId);
+    if (onChange) onChange(modelId, getState(modelId));
+  }
+
+  function isDownloading(modelId) {
+    return controllers.has(modelId);
+  }
+
+  return {
+    getState,
+    check,
+    download,
+    cancel,
+    remove,
+    isDownloading
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Hardware Capability Module
+ * Probes the WebGPU adapter and rates how well each model fits this device
+ */
+
+// Conditional logging
+const DEBUG = false;
+function log(...args) {
+  if (DEBUG) console.log(...args);
+}
+
+const MB = 1024 * 1024;
+
+// WebLLM can't create its GPU device below these limits (its fallbacks from 1 GB)
+const MIN_BUFFER_SIZE = 256 * MB;
+const MIN_STORAGE_BINDING_SIZE = 128 * MB;
+
+// Share of reported system RAM a model can reasonably claim on shared-memory GPUs
+const RAM_BUDGET_RATIO = 0.5;
+
+export const COMPATIBILITY = {
+  RECOMMENDED: 'recommended',
+  RISKY: 'risky',
+  UNSUPPORTED: 'unsupported'
+};
+
+/**
+ * Inspect the WebGPU adapter
+ * @returns {Promise<Object>} Capabilities; `supported` is false when WebGPU is unusable
+ */
+export async function probeWebGPU() {
+  if (!navigator.gpu) {
+    return { supported: false, reason: 'WebGPU is not available in this browser' };
+  }
+
+  let adapter = null;
+  try {
+    adapter = await navigator.gpu.requestAdapter({ powerPreference: 'high-performance' });
+  } catch (err) {
+    log('[GPU] requestAdapter failed:', err);
+  }
+
+  if (!adapter) {
+    return { supported: false, reason: 'No WebGPU adapter found (GPU may be blocklisted or disabled)' };
+  }
+
+  // adapter.info replaced requestAdapterInfo() in newer browsers
+  let info = adapter.info || null;
+  if (!info && adapter.requestAdapterInfo) {
+    try {
+      info = await adapter.requestAdapterInfo();
+    } catch (err) {
+      info = null;
+    }
+  }
+
+  const capabilities = {
+    supported: true,
+    vendor: info?.vendor || '',
+    architecture: info?.architecture || '',
+    description: info?.description || '',
+    isFallbackAdapter: Boolean(adapter.isFallbackAdapter || info?.isFallbackAdapter),
+    shaderF16: adapter.features.has('shader-f16'),
+    maxBufferSize: adapter.limits.maxBufferSize,
+    maxStorageBufferBindingSize: adapter.limits.maxStorageBufferBindingSize,
+    deviceMemoryGB: navigator.deviceMemory || null
+  };
+
+  log('[GPU] Capabilities:', capabilities);
+  return capabilities;
+}
+
+/**
+ * Check if a model needs the shader-f16 feature (f16 activations, e.g. q4f16_1)
+ * @param {Object} model - Model registry entry
+ * @returns {boolean}
+ */
+export function requiresShaderF16(model) {
+  return /q\d+f16/i.test(model.id);
+}
+
+/**
+ * Rate how well a model fits the probed hardware
+ * @param {Object} model - Model registry entry ({ id, vramRequiredMB?, bufferSizeRequiredMB? })
+ * @param {Object} capabilities - Result of probeWebGPU()
+ * @returns {Object} { level: COMPATIBILITY value, reasons: string[] }
+ */
+export function assessModel(model, capabilities) {
+  if (!capabilities) {
+    return { level: COMPATIBILITY.RECOMMENDED, reasons: [] };
+  }
+
+  if (!capabilities.supported) {
+    return { level: COMPATIBILITY.UNSUPPORTED, reasons: [capabilities.reason] };
+  }
+
+  const unsupported = [];
+  const risky = [];
+
+  if (requiresShaderF16(model) && !capabilities.shaderF16) {
+    unsupported.push('GPU lacks shader-f16 support required by this f16 model');
+  }
+
+  if (capabilities.maxBufferSize < MIN_BUFFER_SIZE) {
+    unsupported.push(`GPU buffers are limited to ${Math.round(capabilities.maxBufferSize / MB)} MB; WebLLM needs ${MIN_BUFFER_SIZE / MB} MB`);
+  }
+  if (capabilities.maxStorageBufferBindingSize < MIN_STORAGE_BINDING_SIZE) {
+    unsupported.push(`GPU storage buffers are limited to ${Math.round(capabilities.maxStorageBufferBindingSize / MB)} MB; WebLLM needs ${MIN_STORAGE_BINDING_SIZE / MB} MB`);
+  }
+
+  // Both limits must fit the model's largest buffers
+  const bufferMB = model.bufferSizeRequiredMB;
+  if (bufferMB) {
+    const limitMB = Math.min(capabilities.maxBufferSize, capabilities.maxStorageBufferBindingSize) / MB;
+    if (limitMB < bufferMB) {
+      risky.push(`Built for GPUs allowing ${bufferMB} MB buffers; this GPU allows ${Math.round(limitMB)} MB`);
+    }
+  }
+
+  if (capabilities.isFallbackAdapter) {
+    risky.push('Only a software (fallback) GPU adapter is available - generation will be very slow');
+  }
+
+  const vramMB = model.vramRequiredMB;
+  if (vramMB) {
+    if (capabilities.deviceMemoryGB && vramMB > capabilities.deviceMemoryGB * 1024 * RAM_BUDGET_RATIO) {
+      risky.push(`Needs ~${(vramMB / 1024).toFixed(1)} GB of GPU memory; this device reports ${capabilities.deviceMemoryGB} GB RAM`);
+    }
+  } else if (model.custom) {
+    risky.push('Memory requirement unknown for custom models');
+  }
+
+  if (unsupported.length > 0) {
+    return { level: COMPATIBILITY.UNSUPPORTED, reasons: [...unsupported, ...risky] };
+  }
+  if (risky.length > 0) {
+    return { level: COMPATIBILITY.RISKY, reasons: risky };
+  }
+  return { level: COMPATIBILITY.RECOMMENDED, reasons: [] };
+}
+
+/**
+ * Describe the adapter in one line for display
+ * @param {Object} capabilities - Result of probeWebGPU()
+ * @returns {string}
+ */
+export function describeAdapter(capabilities) {
+  if (!capabilities?.supported) return capabilities?.reason || 'Unknown';
+  const name = [capabilities.vendor, capabilities.architecture].filter(Boolean).join(' ') ||
+    capabilities.description || 'Unknown GPU';
+  return capabilities.isFallbackAdapter ? `${name} (fallback)` : name;
+}
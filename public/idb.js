@@ -0,0 +1,181 @@
+/**
+ * IndexedDB Module
+ * Promise wrapper around the app's local database, for data that stays on
+ * this device (never synced to Firestore): documents, images, and chats in
+ * local-only storage mode
+ */
+
+const DB_NAME = 'llm-chat';
+const DB_VERSION = 3;
+
+// Object stores and their indexes; add stores here and bump DB_VERSION
+const STORES = {
+  documents: { keyPath: 'id', indexes: ['chatId'] },
+  chunks: { keyPath: 'id', indexes: ['chatId', 'docId'] },
+  images: { keyPath: 'id', indexes: ['chatId'] },
+  // Local storage backend (local-db.js); message keys are `${chatId}/${id}`
+  chats: { keyPath: 'id', indexes: [] },
+  messages: { keyPath: 'key', indexes: ['chatId'] },
+  profile: { keyPath: 'id', indexes: [] }
+};
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open (and create or upgrade) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const [name, { keyPath, indexes }] of Object.entries(STORES)) {
+        const store = db.objectStoreNames.contains(name)
+          ? request.transaction.objectStore(name)
+          : db.createObjectStore(name, { keyPath });
+        for (const index of indexes) {
+          if (!store.indexNames.contains(index)) store.createIndex(index, index);
+        }
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Insert or replace records
+ * @param {string} storeName - Object store
+ * @param {Object|Array} records - One record or an array of records
+ * @returns {Promise<void>}
+ */
+export async function putRecords(storeName, records) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  (Array.isArray(records) ? records : [records]).forEach(record => store.put(record));
+  return transactionDone(tx);
+}
+
+/**
+ * Get a record by key
+ * @param {string} storeName - Object store
+ * @param {*} key - Primary key
+ * @returns {Promise<Object|null>}
+ */
+export async function getRecord(storeName, key) {
+  const db = await openDatabase();
+  const result = await promisify(db.transaction(storeName).objectStore(storeName).get(key));
+  return result ?? null;
+}
+
+/**
+ * Get all records with an index value
+ * @param {string} storeName - Object store
+ * @param {string} indexName - Index
+ * @param {*} value - Index value to match
+ * @returns {Promise<Array>}
+ */
+export async function getRecordsByIndex(storeName, indexName, value) {
+  const db = await openDatabase();
+  const index = db.transaction(storeName).objectStore(storeName).index(indexName);
+  return promisify(index.getAll(value));
+}
+
+/**
+ * Get every record in a store
+ * @param {string} storeName - Object store
+ * @returns {Promise<Array>}
+ */
+export async function getAllRecords(storeName) {
+  const db = await openDatabase();
+  return promisify(db.transaction(storeName).objectStore(storeName).getAll());
+}
+
+/**
+ * Change fields of a record in a single transaction
+ * @param {string} storeName - Object store
+ * @param {*} key - Primary key
+ * @param {Function} update - (record) => fields to merge into it
+ * @returns {Promise<Object|null>} Updated record, or null if it doesn't exist
+ */
+export async function updateRecord(storeName, key, update) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  const record = await promisify(store.get(key));
+  if (!record) {
+    tx.abort();
+    return null;
+  }
+  const updated = { ...record, ...update(record) };
+  store.put(updated);
+  await transactionDone(tx);
+  return updated;
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store
+ * @param {*} key - Primary key
+ * @returns {Promise<void>}
+ */
+export async function deleteRecord(storeName, key) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  tx.objectStore(storeName).delete(key);
+  return transactionDone(tx);
+}
+
+/**
+ * Delete all records with an index value
+ * @param {string} storeName - Object store
+ * @param {string} indexName - Index
+ * @param {*} value - Index value to match
+ * @returns {Promise<void>}
+ */
+export async function deleteRecordsByIndex(storeName, indexName, value) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  const keys = await promisify(store.index(indexName).getAllKeys(value));
+  keys.forEach(key => store.delete(key));
+  return transactionDone(tx);
+}
+
+/**
+ * Delete every record in the given stores
+ * @param {...string} storeNames - Object stores
+ * @returns {Promise<void>}
+ */
+export async function clearStores(...storeNames) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeNames, 'readwrite');
+  storeNames.forEach(name => tx.objectStore(name).clear());
+  return transactionDone(tx);
+}
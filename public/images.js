@@ -0,0 +1,169 @@
+/**
+ * Image Attachments Module
+ * Downscales attached images and keeps them in IndexedDB; messages only
+ * carry a reference, so the pixels never leave the device
+ */
+
+import {
+  putRecords,
+  getRecord,
+  deleteRecord,
+  deleteRecordsByIndex,
+  clearStores
+} from './idb.js';
+
+// Conditional logging
+const DEBUG = false;
+function log(...args) {
+  if (DEBUG) console.log(...args);
+}
+
+export const MAX_IMAGE_FILE_SIZE = 20 * 1024 * 1024;
+// Each image takes ~1,900 of the vision model's 4,096 context tokens
+export const MAX_IMAGES_PER_MESSAGE = 1;
+
+const SUPPORTED_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/bmp'];
+const MAX_DIMENSION = 1344; // Largest side Phi-3.5-vision crops from (4 x 336)
+const OUTPUT_TYPE = 'image/jpeg';
+const OUTPUT_QUALITY = 0.85;
+
+// Object URLs for thumbnails, kept for the page's lifetime
+const objectUrls = new Map();
+
+/**
+ * Check if a file can be attached
+ * @param {File} file - Pasted, dropped or picked file
+ * @returns {string|null} Error message, or null if supported
+ */
+export function validateImage(file) {
+  if (!SUPPORTED_TYPES.includes(file.type)) {
+    return `${file.name || 'Image'}: unsupported image type`;
+  }
+  if (file.size > MAX_IMAGE_FILE_SIZE) {
+    return `${file.name || 'Image'}: larger than ${MAX_IMAGE_FILE_SIZE / 1024 / 1024} MB`;
+  }
+  return null;
+}
+
+/**
+ * Check if a file is an image (as opposed to a document)
+ * @param {File} file - File
+ * @returns {boolean}
+ */
+export function isImageFile(file) {
+  return file.type.startsWith('image/');
+}
+
+/**
+ * Shrink an image to fit MAX_DIMENSION and re-encode it as JPEG
+ * @param {Blob} file - Image file
+ * @returns {Promise<Object>} { blob, width, height }
+ */
+async function downscaleImage(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  // Transparent areas would turn black in JPEG
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const blob = await canvas.convertToBlob({ type: OUTPUT_TYPE, quality: OUTPUT_QUALITY });
+  return { blob, width, height };
+}
+
+/**
+ * Downscale an image and store it for a chat
+ * @param {string} chatId - Chat the image belongs to
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} Reference saved with the message { id, name, width, height }
+ */
+export async function saveImage(chatId, file) {
+  const { blob, width, height } = await downscaleImage(file);
+  const id = `img-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const name = (file.name || 'pasted image').slice(0, 100);
+
+  await putRecords('images', { id, chatId, name, width, height, blob, createdAt: new Date() });
+  log('[Images] Stored', name, `${width}x${height}`, blob.size, 'bytes');
+  return { id, name, width, height };
+}
+
+/**
+ * Get an object URL for showing a stored image
+ * @param {string} imageId - Image ID
+ * @returns {Promise<string|null>} URL, or null if the image isn't on this device
+ */
+export async function getImageUrl(imageId) {
+  if (objectUrls.has(imageId)) return objectUrls.get(imageId);
+
+  const record = await getRecord('images', imageId);
+  if (!record) return null;
+
+  const url = URL.createObjectURL(record.blob);
+  objectUrls.set(imageId, url);
+  return url;
+}
+
+/**
+ * Get a stored image as a data URL, the form WebLLM accepts in image_url parts
+ * @param {string} imageId - Image ID
+ * @returns {Promise<string|null>} Data URL, or null if the image isn't on this device
+ */
+export async function getImageDataUrl(imageId) {
+  const record = await getRecord('images', imageId);
+  if (!record) return null;
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(record.blob);
+  });
+}
+
+function releaseUrl(imageId) {
+  const url = objectUrls.get(imageId);
+  if (url) {
+    URL.revokeObjectURL(url);
+    objectUrls.delete(imageId);
+  }
+}
+
+/**
+ * Delete a stored image (e.g. an attachment removed before sending)
+ * @param {string} imageId - Image ID
+ */
+export async function removeImage(imageId) {
+  releaseUrl(imageId);
+  await deleteRecord('images', imageId);
+}
+
+/**
+ * Delete all of a chat's images
+ * @param {string} chatId - Chat ID
+ */
+export async function removeChatImages(chatId) {
+  await deleteRecordsByIndex('images', 'chatId', chatId);
+}
+
+/**
+ * Delete every stored image
+ */
+export async function clearImages() {
+  [...objectUrls.keys()].forEach(releaseUrl);
+  await clearStores('images');
+}
+
+/**
+ * Text stand-in for an image the model can't see
+ * @param {Object} ref - Image reference
+ * @returns {string}
+ */
+export function imagePlaceholder(ref) {
+  return `[Image: ${ref.name}]`;
+}
@@ -0,0 +1,15 @@
+/**
+ * LLM Worker Module
+ * Hosts the WebLLM engine in a dedicated Web Worker so model compilation
+ * and token decoding never block the UI thread
+ */
+
+import { WebWorkerMLCEngineHandler } from 'https://cdn.jsdelivr.net/npm/@mlc-ai/web-llm@0.2.80/+esm';
+
+// The handler owns the real MLCEngine and answers requests from
+// the WebWorkerMLCEngine proxy created in app.js
+const handler = new WebWorkerMLCEngineHandler();
+
+self.onmessage = (msg) => {
+  handler.onmessage(msg);
+};
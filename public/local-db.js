@@ -0,0 +1,455 @@
+/**
+ * Local Database Module
+ * Local-only storage backend: the functions of db.js implemented on
+ * IndexedDB, so chats never leave this device. Subscribers are notified
+ * after every write, in this tab and (via BroadcastChannel) in other tabs.
+ */
+
+import {
+  openDatabase,
+  putRecords,
+  getRecord,
+  getAllRecords,
+  getRecordsByIndex,
+  updateRecord,
+  deleteRecord,
+  deleteRecordsByIndex,
+  clearStores
+} from './idb.js';
+import {
+  generateMessageId,
+  normalizeChat,
+  normalizeMessage,
+  resolveActivePath,
+  matchMessages
+} from './chat-data.js';
+
+// Conditional logging
+const DEBUG = false;
+function log(...args) {
+  if (DEBUG) console.log(...args);
+}
+
+const LOCAL_USER_ID = 'local';
+const PROFILE_KEY = 'info';
+
+// chatId -> Set of message callbacks
+const messageListeners = new Map();
+const chatListeners = new Set();
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('llm-chat-local') : null;
+
+let connected = false;
+
+/**
+ * Local data has no account; the ID only marks the backend as ready
+ * @returns {string|null}
+ */
+export function getUserId() {
+  return connected ? LOCAL_USER_ID : null;
+}
+
+/**
+ * Open the database and touch the profile
+ * @returns {Promise<void>}
+ */
+export async function connect() {
+  await openDatabase();
+  connected = true;
+  await createUserProfile();
+  if (channel) channel.onmessage = (event) => emitChanges(event.data?.chatId);
+}
+
+function messageKey(chatId, messageId) {
+  return `${chatId}/${messageId}`;
+}
+
+function toMessage(record) {
+  const { key, chatId, id, ...data } = record;
+  return normalizeMessage(id, data);
+}
+
+function toChat(record) {
+  const { id, ...data } = record;
+  return normalizeChat(id, data);
+}
+
+/**
+ * Call the subscribers of a chat's messages and of the chat list
+ * @param {string|null} chatId - Chat whose messages changed, if any
+ */
+async function emitChanges(chatId) {
+  try {
+    const callbacks = chatId ? messageListeners.get(chatId) : null;
+    if (callbacks?.size) {
+      const messages = await getMessages(chatId);
+      callbacks.forEach(callback => callback(messages));
+    }
+    if (chatListeners.size) {
+      const chats = await getChats(Infinity);
+      chatListeners.forEach(callback => callback(chats));
+    }
+  } catch (error) {
+    console.error('[LocalDB] Subscription error:', error);
+  }
+}
+
+function notifyChanged(chatId = null) {
+  emitChanges(chatId);
+  channel?.postMessage({ chatId });
+}
+
+/**
+ * Create or update user profile
+ * @returns {Promise<void>}
+ */
+export async function createUserProfile() {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const profile = await updateRecord('profile', PROFILE_KEY, () => ({ lastActive: new Date() }));
+  if (!profile) {
+    await putRecords('profile', { id: PROFILE_KEY, createdAt: new Date(), lastActive: new Date() });
+    log('[LocalDB] Created new user profile');
+  }
+}
+
+/**
+ * Get the user profile
+ * @returns {Promise<Object>} Profile data (empty object if missing)
+ */
+export async function getUserProfile() {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const record = await getRecord('profile', PROFILE_KEY);
+  if (!record) return {};
+  const { id, ...data } = record;
+  return data;
+}
+
+/**
+ * Update fields on the user profile
+ * @param {Object} data - Fields to update
+ * @returns {Promise<void>}
+ */
+export async function updateUserProfile(data) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const updated = await updateRecord('profile', PROFILE_KEY, () => data);
+  if (!updated) await putRecords('profile', { ...data, id: PROFILE_KEY });
+  log('[LocalDB] Updated user profile:', Object.keys(data));
+}
+
+/**
+ * Create a new chat
+ * @param {string} title - Chat title (optional, will be generated)
+ * @param {Object} data - Initial fields, e.g. { personaId, settings }
+ * @returns {Promise<string>} Chat ID
+ */
+export async function createChat(title = 'New Chat', data = {}) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const chatId = `chat-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  await putRecords('chats', {
+    ...data,
+    id: chatId,
+    title,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    messageCount: 0
+  });
+
+  log('[LocalDB] Created chat:', chatId);
+  notifyChanged();
+  return chatId;
+}
+
+/**
+ * Get all chats, most recently updated first
+ * @param {number} maxChats - Maximum number of chats to retrieve
+ * @returns {Promise<Array>} Array of chat objects
+ */
+export async function getChats(maxChats = 50) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const records = await getAllRecords('chats');
+  return records
+    .map(toChat)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, maxChats);
+}
+
+/**
+ * Get a single chat by ID
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object|null>} Chat object or null
+ */
+export async function getChat(chatId) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const record = await getRecord('chats', chatId);
+  return record ? toChat(record) : null;
+}
+
+/**
+ * Update chat metadata
+ * @param {string} chatId - Chat ID
+ * @param {Object} data - Data to update
+ * @returns {Promise<void>}
+ */
+export async function updateChat(chatId, data) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const updated = await updateRecord('chats', chatId, () => ({ ...data, updatedAt: new Date() }));
+  if (!updated) throw new Error(`Chat not found: ${chatId}`);
+  notifyChanged();
+}
+
+/**
+ * Save a chat's rolling context summary
+ * Doesn't touch updatedAt: summarizing isn't chat activity
+ * @param {string} chatId - Chat ID
+ * @param {Object} summary - { text, coveredUntilId }
+ * @returns {Promise<void>}
+ */
+export async function updateChatSummary(chatId, summary) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  await updateRecord('chats', chatId, () => ({
+    summary: {
+      text: summary.text,
+      coveredUntilId: summary.coveredUntilId,
+      updatedAt: new Date()
+    }
+  }));
+  notifyChanged();
+}
+
+/**
+ * Delete a chat and all its messages
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<void>}
+ */
+export async function deleteChat(chatId) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  await deleteRecordsByIndex('messages', 'chatId', chatId);
+  await deleteRecord('chats', chatId);
+  log('[LocalDB] Deleted chat:', chatId);
+  notifyChanged(chatId);
+}
+
+/**
+ * Add a message to a chat
+ * @param {string} chatId - Chat ID
+ * @param {string} role - Message role ('user' or 'assistant')
+ * @param {string} content - Message content
+ * @param {string} modelId - The LLM model ID used
+ * @param {Object} extra - Additional message fields (e.g. { truncated: true })
+ * @returns {Promise<string>} Message ID
+ */
+export async function addMessage(chatId, role, content, modelId = 'unknown', extra = {}) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const messageId = generateMessageId();
+  await putRecords('messages', {
+    ...extra,
+    key: messageKey(chatId, messageId),
+    chatId,
+    id: messageId,
+    role,
+    content,
+    modelId,
+    timestamp: new Date(),
+    feedback: null // null = no feedback, 'up' = thumbs up, 'down' = thumbs down
+  });
+
+  await updateRecord('chats', chatId, (chat) => ({
+    updatedAt: new Date(),
+    messageCount: (chat.messageCount || 0) + 1
+  }));
+
+  notifyChanged(chatId);
+  return messageId;
+}
+
+/**
+ * Change fields of a message and notify subscribers
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @param {Object} data - Fields to set
+ * @returns {Promise<void>}
+ */
+async function updateMessage(chatId, messageId, data) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const updated = await updateRecord('messages', messageKey(chatId, messageId), () => data);
+  if (!updated) throw new Error(`Message not found: ${messageId}`);
+  notifyChanged(chatId);
+}
+
+/**
+ * Update message feedback (thumbs up/down)
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @param {string|null} feedback - 'up', 'down', or null to clear
+ * @returns {Promise<void>}
+ */
+export async function updateMessageFeedback(chatId, messageId, feedback) {
+  await updateMessage(chatId, messageId, { feedback });
+  log('[LocalDB] Updated feedback for message:', messageId, feedback);
+}
+
+/**
+ * Pin or unpin a message; pinned messages are never dropped from the model's context
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @param {boolean} pinned - New pinned state
+ * @returns {Promise<void>}
+ */
+export async function updateMessagePinned(chatId, messageId, pinned) {
+  await updateMessage(chatId, messageId, { pinned });
+  log('[LocalDB] Updated pin for message:', messageId, pinned);
+}
+
+/**
+ * Make a message the active one among its siblings
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID to select
+ * @returns {Promise<void>}
+ */
+export async function selectMessageBranch(chatId, messageId) {
+  await updateMessage(chatId, messageId, { selectedAt: new Date() });
+  log('[LocalDB] Selected branch:', messageId);
+}
+
+/**
+ * Get all of a chat's messages in chronological order
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Array>} Message objects (all branches)
+ */
+async function getAllMessages(chatId) {
+  const records = await getRecordsByIndex('messages', 'chatId', chatId);
+  return records
+    .map(toMessage)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Get the active branch of messages for a chat
+ * @param {string} chatId - Chat ID
+ * @param {number} maxMessages - Maximum messages to retrieve (all branches count)
+ * @returns {Promise<Array>} Array of message objects on the active path
+ */
+export async function getMessages(chatId, maxMessages = 1000) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const messages = await getAllMessages(chatId);
+  return resolveActivePath(messages.slice(0, maxMessages));
+}
+
+/**
+ * Search recent chats for messages containing some text
+ * @param {string} text - Text to look for (case-insensitive)
+ * @param {Object} options - { maxChats, maxResults }
+ * @returns {Promise<Array>} Matches { chatId, chatTitle, role, content, timestamp }, newest chats first
+ */
+export async function searchMessages(text, { maxChats = 20, maxResults = 5 } = {}) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const needle = text.trim().toLowerCase();
+  if (!needle) return [];
+
+  const chats = await getChats(maxChats);
+  const results = [];
+
+  for (const chat of chats) {
+    const messages = await getAllMessages(chat.id);
+    results.push(...matchMessages(chat, messages.reverse(), needle));
+    if (results.length >= maxResults) break;
+  }
+
+  log('[LocalDB] Search for', needle, 'found', results.length, 'matches');
+  return results.slice(0, maxResults);
+}
+
+/**
+ * Collect performance stats of recent responses across chats
+ * @param {Object} options - { maxChats }
+ * @returns {Promise<Array>} Entries { modelId, stats }
+ */
+export async function getGenerationStats({ maxChats = 20 } = {}) {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  const chats = await getChats(maxChats);
+  const entries = [];
+
+  for (const chat of chats) {
+    const messages = await getAllMessages(chat.id);
+    messages
+      .filter(msg => msg.role === 'assistant' && msg.stats)
+      .forEach(msg => entries.push({ modelId: msg.modelId, stats: msg.stats }));
+  }
+
+  log('[LocalDB] Loaded stats for', entries.length, 'responses');
+  return entries;
+}
+
+/**
+ * Subscribe to a chat's messages; called once right away, then after changes
+ * @param {string} chatId - Chat ID
+ * @param {Function} callback - Called with the active path on changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToMessages(chatId, callback) {
+  if (!getUserId()) {
+    log('[LocalDB] Cannot subscribe: User not authenticated');
+    return () => {};
+  }
+
+  if (!messageListeners.has(chatId)) messageListeners.set(chatId, new Set());
+  const callbacks = messageListeners.get(chatId);
+  // Wrap so the same function can be subscribed twice and removed independently
+  const listener = (messages) => callback(messages);
+  callbacks.add(listener);
+
+  getMessages(chatId)
+    .then(messages => callbacks.has(listener) && listener(messages))
+    .catch(error => console.error('[LocalDB] Subscription error:', error));
+
+  return () => {
+    callbacks.delete(listener);
+    if (callbacks.size === 0) messageListeners.delete(chatId);
+  };
+}
+
+/**
+ * Subscribe to the chat list; called once right away, then after changes
+ * @param {Function} callback - Called with chats array on changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToChats(callback) {
+  if (!getUserId()) {
+    log('[LocalDB] Cannot subscribe: User not authenticated');
+    return () => {};
+  }
+
+  const listener = (chats) => callback(chats);
+  chatListeners.add(listener);
+
+  getChats(Infinity)
+    .then(chats => chatListeners.has(listener) && listener(chats))
+    .catch(error => console.error('[LocalDB] Chats subscription error:', error));
+
+  return () => chatListeners.delete(listener);
+}
+
+/**
+ * Delete all user data
+ * @returns {Promise<void>}
+ */
+export async function deleteAllUserData() {
+  if (!getUserId()) throw new Error('User not authenticated');
+
+  await clearStores('chats', 'messages', 'profile');
+  log('[LocalDB] Deleted all user data');
+  notifyChanged();
+}
@@ -0,0 +1,193 @@
+/**
+ * Long-Term Memory Module
+ * Durable facts about the user, kept across chats: validation, extraction
+ * prompts, parsing, relevance selection and prompt formatting
+ */
+
+// Conditional logging
+const DEBUG = false;
+function log(...args) {
+  if (DEBUG) console.log(...args);
+}
+
+export const MAX_MEMORIES = 50;
+export const MAX_MEMORY_LENGTH = 200;
+
+const MAX_INJECTED_MEMORIES = 10;
+const MAX_SUGGESTIONS = 3;
+
+// Only messages that state something lasting about the user are worth an
+// extraction call; a bare "I" or "my" appears in most messages
+const FACT_PATTERNS = [
+  /\b(my name is|call me)\b/i,
+  /\bi(?:'m| am) (a|an|from|based in|allergic to)\b/i,
+  /\bi (live|work|study) (in|at|as|for)\b/i,
+  /\bi (prefer|speak|write|mostly use|usually use)\b/i,
+  /\bmy (job|role|team|company|wife|husband|partner|kids?|son|daughter)\b/i,
+  /\b(from now on|remember that)\b/i,
+  /\b(always|never) (answer|reply|respond|use|call)\b/i
+];
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'they', 'them', 'their', 'user', 'users',
+  'have', 'has', 'are', 'was', 'what', 'when', 'where', 'which', 'about', 'into', 'your', 'you'
+]);
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function keywords(text) {
+  return new Set(
+    normalizeText(text).toLowerCase().match(/[\p{L}\p{N}]+/gu)?.filter(w => w.length > 2 && !STOP_WORDS.has(w)) || []
+  );
+}
+
+/**
+ * Validate a memory typed or edited by the user
+ * @param {string} text - Memory text
+ * @returns {Object} { text } cleaned on success, { error } otherwise
+ */
+export function validateMemoryText(text) {
+  const clean = normalizeText(text);
+  if (!clean) return { error: 'Memory is empty' };
+  if (clean.length > MAX_MEMORY_LENGTH) {
+    return { error: `Memory must be at most ${MAX_MEMORY_LENGTH} characters` };
+  }
+  return { text: clean };
+}
+
+/**
+ * Create a memory entry
+ * @param {string} text - Validated memory text
+ * @param {string|null} sourceChatId - Chat the fact came from (null if added by hand)
+ * @returns {Object} { id, text, createdAt, sourceChatId }
+ */
+export function createMemory(text, sourceChatId = null) {
+  return {
+    id: `mem-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    text,
+    createdAt: Date.now(),
+    sourceChatId
+  };
+}
+
+/**
+ * Sanitize memories loaded from the profile
+ * @param {Array} list - Stored entries
+ * @returns {Array} Valid entries, at most MAX_MEMORIES
+ */
+export function normalizeMemories(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(m => m && typeof m.id === 'string' && !validateMemoryText(m.text).error)
+    .slice(0, MAX_MEMORIES);
+}
+
+/**
+ * Check whether a memory with the same text already exists
+ * @param {Array} memories - Existing memories
+ * @param {string} text - Candidate text
+ * @returns {boolean}
+ */
+export function isDuplicateMemory(memories, text) {
+  const needle = normalizeText(text).toLowerCase().replace(/[.!]+$/, '');
+  return memories.some(m => m.text.toLowerCase().replace(/[.!]+$/, '') === needle);
+}
+
+/**
+ * Cheap check before spending an LLM call on extraction
+ * @param {string} text - User message
+ * @returns {boolean}
+ */
+export function mightContainFacts(text) {
+  return FACT_PATTERNS.some(pattern => pattern.test(text || ''));
+}
+
+/**
+ * Build the prompt that asks the model for durable facts in a user message
+ * @param {string} userText - Latest user message
+ * @param {Array} memories - Facts already known
+ * @returns {string}
+ */
+export function buildExtractionPrompt(userText, memories) {
+  const known = memories.length > 0
+    ? memories.map(m => `- ${m.text}`).join('\n')
+    : '(none)';
+
+  return `Find lasting facts about the user in their message: who they are, what they work with,
+and how they like answers (language, units, format, tone). Ignore one-off requests,
+questions and anything temporary. Skip facts already known.
+
+Already known:
+${known}
+
+User message:
+${userText}
+
+Reply with only a JSON array of short facts written about "the user",
+e.g. ["The user writes TypeScript", "The user wants metric units"], or [] if there are none.`;
+}
+
+/**
+ * Parse the model's extraction output
+ * @param {string} output - Model output
+ * @param {Array} memories - Existing memories, to drop duplicates
+ * @returns {Array<string>} New facts (at most MAX_SUGGESTIONS)
+ */
+export function parseExtractedFacts(output, memories) {
+  const match = /\[[\s\S]*\]/.exec(output || '');
+  if (!match) return [];
+
+  let facts;
+  try {
+    facts = JSON.parse(match[0]);
+  } catch (e) {
+    log('[Memories] Unparseable extraction output:', output);
+    return [];
+  }
+  if (!Array.isArray(facts)) return [];
+
+  const results = [];
+  for (const fact of facts) {
+    const { text, error } = validateMemoryText(typeof fact === 'string' ? fact : '');
+    if (error || isDuplicateMemory(memories, text) || isDuplicateMemory(results.map(t => ({ text: t })), text)) {
+      continue;
+    }
+    results.push(text);
+  }
+  return results.slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Pick the memories most relevant to a question
+ * Small sets are used whole; larger ones are ranked by shared keywords, then recency
+ * @param {Array} memories - All memories
+ * @param {string} question - Latest user message
+ * @param {number} max - Maximum memories to return
+ * @returns {Array}
+ */
+export function selectMemories(memories, question, max = MAX_INJECTED_MEMORIES) {
+  if (memories.length <= max) return memories;
+
+  const questionWords = keywords(question);
+  return memories
+    .map(memory => ({
+      memory,
+      score: [...keywords(memory.text)].filter(w => questionWords.has(w)).length
+    }))
+    .sort((a, b) => b.score - a.score || b.memory.createdAt - a.memory.createdAt)
+    .slice(0, max)
+    .map(({ memory }) => memory);
+}
+
+/**
+ * Format memories for the system message
+ * @param {Array} memories - Selected memories
+ * @returns {string} Empty when there are none
+ */
+export function formatMemoryContext(memories) {
+  if (memories.length === 0) return '';
+  return `What you know about the user from earlier chats (use it when relevant, don't repeat it back):
+${memories.map(m => `- ${m.text}`).join('\n')}`;
+}
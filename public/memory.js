@@ -3,27 +3,53 @@
  * Handles context window management and conversation summarization
  */
 
+import { stripReasoning } from './reasoning.js';
+import { getContextLimit } from './models.js';
+
 // Conditional logging
 const DEBUG = false;
 function log(...args) {
   if (DEBUG) console.log(...args);
 }
 
-// Model context limits (conservative estimates for 4-bit quantized models)
-export const MODEL_CONTEXT_LIMITS = {
-  'Qwen3-0.6B-q4f16_1-MLC': 4096,
-  'Llama-3.2-1B-Instruct-q4f16_1-MLC': 8192,
-  'SmolLM2-1.7B-Instruct-q4f16_1-MLC': 4096,
-  'gemma-2-2b-it-q4f16_1-MLC': 4096,
-  'Llama-3.2-3B-Instruct-q4f16_1-MLC': 8192,
-  'Phi-3.5-mini-instruct-q4f16_1-MLC': 8192
+// How older messages are handled once the context passes the threshold
+export const CONTEXT_STRATEGIES = {
+  SUMMARIZE: 'summarize', // Summarize older messages, keep recent ones verbatim
+  SLIDING_WINDOW: 'sliding-window', // Keep as many recent messages as fit, drop the rest
+  RETRIEVAL: 'retrieval' // Keep recent messages plus the older ones most relevant to the question
+};
+
+export const DEFAULT_CONTEXT_OPTIONS = {
+  strategy: CONTEXT_STRATEGIES.SUMMARIZE,
+  threshold: 0.7, // Fraction of the context window to fill before trimming
+  recentCount: 6, // Messages always kept verbatim
+  keepPinned: true // Never drop pinned messages
 };
 
-// Summarization threshold (70% of context)
-const SUMMARIZE_THRESHOLD = 0.7;
+/**
+ * Fill in and clamp context options (e.g. from chat settings)
+ * @param {Object} options - Partial { strategy, threshold, recentCount, keepPinned }
+ * @returns {Object} Complete options
+ */
+export function normalizeContextOptions(options = {}) {
+  const defaults = DEFAULT_CONTEXT_OPTIONS;
+  const threshold = Number(options.threshold);
+  const recentCount = Number(options.recentCount);
+
+  return {
+    strategy: Object.values(CONTEXT_STRATEGIES).includes(options.strategy) ? options.strategy : defaults.strategy,
+    threshold: Number.isFinite(threshold) ? Math.min(Math.max(threshold, 0.2), 0.95) : defaults.threshold,
+    recentCount: Number.isFinite(recentCount) ? Math.min(Math.max(Math.round(recentCount), 1), 50) : defaults.recentCount,
+    keepPinned: options.keepPinned !== false
+  };
+}
 
-// Minimum messages to keep verbatim
-const MIN_RECENT_MESSAGES = 6;
+// Speaker labels used in summarization prompts
+const ROLE_LABELS = {
+  user: 'User',
+  assistant: 'Assistant',
+  tool: 'Tool result'
+};
 
 /**
  * Estimate token count for a string
@@ -38,58 +64,119 @@ export function estimateTokens(text) {
 }
 
 /**
- * Estimate total tokens for message array
+ * Character-based counter, used until a model's tokenizer is loaded
+ * Same interface as the counters from tokenizer.js
+ */
+export const HEURISTIC_COUNTER = {
+  exact: false,
+  promptOverhead: 0,
+  // ~4 tokens per message for role formatting
+  countMessage: (role, content) => estimateTokens(content) + 4
+};
+
+// WebLLM embeds every image as a fixed number of tokens (Phi-3.5-vision)
+const IMAGE_TOKENS = 1921;
+
+/**
+ * Count total tokens for message array
  * @param {Array} messages - Array of message objects
- * @returns {number} Total estimated tokens
+ * @param {Object} counter - Token counter (defaults to the heuristic)
+ * @returns {number} Total tokens
  */
-export function estimateMessagesTokens(messages) {
+export function estimateMessagesTokens(messages, counter = HEURISTIC_COUNTER) {
   return messages.reduce((total, msg) => {
-    // Account for role overhead (~4 tokens per message for formatting)
-    return total + estimateTokens(msg.content) + 4;
+    // Reasoning is never sent back to the model, so it doesn't count
+    return total + counter.countMessage(msg.role, stripReasoning(msg.content)) +
+      (msg.images?.length || 0) * IMAGE_TOKENS;
   }, 0);
 }
 
 /**
- * Check if context needs summarization
+ * Count tokens used by a system prompt
+ * @param {string} systemPrompt - System prompt text (may be empty)
+ * @param {Object} counter - Token counter
+ * @returns {number} Token count
+ */
+function estimateSystemTokens(systemPrompt, counter = HEURISTIC_COUNTER) {
+  return systemPrompt ? counter.countMessage('system', systemPrompt) : 0;
+}
+
+/**
+ * Count the full prompt: system message, conversation and the reply header
+ * @param {Array} messages - Conversation messages
+ * @param {string} systemPrompt - System message content (may be empty)
+ * @param {Object} counter - Token counter
+ * @returns {number} Token count
+ */
+function countPromptTokens(messages, systemPrompt, counter = HEURISTIC_COUNTER) {
+  return estimateMessagesTokens(messages, counter) +
+    estimateSystemTokens(systemPrompt, counter) +
+    counter.promptOverhead;
+}
+
+/**
+ * Prepend a single system message to a message array
+ * WebLLM only accepts one system message, at the start of the conversation
+ * @param {Array} messages - Conversation messages
+ * @param {string} systemContent - System message content (skipped if empty)
+ * @returns {Array} Messages with system message
+ */
+function withSystemMessage(messages, systemContent) {
+  if (!systemContent) return messages;
+  return [{ role: 'system', content: systemContent }, ...messages];
+}
+
+/**
+ * Check if context needs summarization (or trimming, depending on the strategy)
  * @param {Array} messages - Current messages
  * @param {string} modelId - Current model ID
+ * @param {Object} options - { systemPrompt, counter, threshold }
  * @returns {boolean} Whether summarization is needed
  */
-export function needsSummarization(messages, modelId) {
-  const maxTokens = MODEL_CONTEXT_LIMITS[modelId] || 4096;
-  const currentTokens = estimateMessagesTokens(messages);
-  return currentTokens > maxTokens * SUMMARIZE_THRESHOLD;
+export function needsSummarization(messages, modelId, options = {}) {
+  const maxTokens = getContextLimit(modelId);
+  const threshold = options.threshold ?? DEFAULT_CONTEXT_OPTIONS.threshold;
+  const currentTokens = countPromptTokens(messages, options.systemPrompt, options.counter);
+  return currentTokens > maxTokens * threshold;
 }
 
 /**
  * Get context status for UI display
  * @param {Array} messages - Current messages
  * @param {string} modelId - Current model ID
- * @returns {Object} Status info with tokens, max, and percentage
+ * @param {Object} options - { systemPrompt, counter, threshold }
+ * @returns {Object} Status info with tokens, max, percentage and whether the count is exact
  */
-export function getContextStatus(messages, modelId) {
-  const maxTokens = MODEL_CONTEXT_LIMITS[modelId] || 4096;
-  const currentTokens = estimateMessagesTokens(messages);
+export function getContextStatus(messages, modelId, options = {}) {
+  const counter = options.counter || HEURISTIC_COUNTER;
+  const threshold = options.threshold ?? DEFAULT_CONTEXT_OPTIONS.threshold;
+  const maxTokens = getContextLimit(modelId);
+  const currentTokens = countPromptTokens(messages, options.systemPrompt, counter);
   const percentage = Math.round((currentTokens / maxTokens) * 100);
 
   return {
     current: currentTokens,
     max: maxTokens,
+    exact: counter.exact,
     percentage,
-    needsSummarization: percentage > SUMMARIZE_THRESHOLD * 100,
+    needsSummarization: percentage > threshold * 100,
     isNearLimit: percentage > 90
   };
 }
 
+function formatTranscript(messages) {
+  return messages
+    .map(m => `${ROLE_LABELS[m.role] || 'Assistant'}: ${stripReasoning(m.content)}`)
+    .join('\n\n');
+}
+
 /**
  * Create summarization prompt
  * @param {Array} messages - Messages to summarize
  * @returns {string} Prompt for summarization
  */
 function createSummarizationPrompt(messages) {
-  const conversationText = messages
-    .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
-    .join('\n\n');
+  const conversationText = formatTranscript(messages);
 
   return `Summarize this conversation concisely, preserving:
 - Key facts and information shared
@@ -105,62 +192,193 @@ ${conversationText}
 Summary:`;
 }
 
+/**
+ * Create a prompt that folds newly aged-out messages into an existing summary
+ * @param {string} previousSummary - Summary of everything before the new messages
+ * @param {Array} messages - Messages the summary doesn't cover yet
+ * @returns {string} Prompt for summarization
+ */
+function createSummaryUpdatePrompt(previousSummary, messages) {
+  return `Update this conversation summary with the new messages below. Keep earlier facts that
+still matter, add new facts, preferences, decisions and conclusions, and drop details that
+no longer matter.
+
+Keep the summary under 200 words.
+
+Current summary:
+${previousSummary}
+
+New messages:
+${formatTranscript(messages)}
+
+Updated summary:`;
+}
+
+/**
+ * Find which of the older messages a stored summary doesn't cover yet
+ * @param {Object|null} summary - Stored summary { text, coveredUntilId }
+ * @param {Array} olderMessages - Messages outside the verbatim window
+ * @returns {Array|null} Uncovered messages, or null if the summary doesn't
+ *   belong to this branch (it must be rebuilt from scratch)
+ */
+function uncoveredMessages(summary, olderMessages) {
+  if (!summary?.text || !summary.coveredUntilId) return null;
+  const index = olderMessages.findIndex(m => m.id === summary.coveredUntilId);
+  return index === -1 ? null : olderMessages.slice(index + 1);
+}
+
+function keywords(text) {
+  return new Set(
+    stripReasoning(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu)?.filter(w => w.length > 3) || []
+  );
+}
+
+/**
+ * Add older messages to the verbatim ones, in priority order, while they fit
+ * @param {Array} messages - Full message history (for chronological order)
+ * @param {Set} kept - Messages that are always kept
+ * @param {Array} candidates - Older messages, most wanted first
+ * @param {Function} fits - (messages) => whether they fit the budget
+ * @returns {Array} Kept messages in chronological order
+ */
+function fillBudget(messages, kept, candidates, fits) {
+  const selected = new Set(kept);
+  const inOrder = () => messages.filter(m => selected.has(m));
+
+  for (const candidate of candidates) {
+    selected.add(candidate);
+    if (!fits(inOrder())) selected.delete(candidate);
+  }
+  return inOrder();
+}
+
+/**
+ * Rank older messages by how many keywords they share with the question
+ * @param {Array} olderMessages - Candidate messages
+ * @param {string} question - Latest user message
+ * @returns {Array} Relevant messages, best first (ties: newest first)
+ */
+function rankByRelevance(olderMessages, question) {
+  const questionWords = keywords(question);
+  return olderMessages
+    .map((message, index) => ({
+      message,
+      index,
+      score: [...keywords(message.content)].filter(w => questionWords.has(w)).length
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.index - a.index)
+    .map(({ message }) => message);
+}
+
 /**
  * Prepare messages for API call with context management
- * Implements rolling summarization when approaching context limit
+ * Once the context passes the threshold, older messages are summarized,
+ * dropped or filtered by relevance depending on the strategy
  * @param {Array} messages - Full message history
  * @param {string} modelId - Current model ID
  * @param {Function} summarizeFunc - Async function to call LLM for summarization
- * @returns {Promise<Object>} { messages: processed messages, summarized: boolean }
+ * @param {Object} options - { systemPrompt: per-chat system prompt to prepend,
+ *   memoryContext: long-term facts about the user to include after it,
+ *   retrievedContext: document excerpts to include after those, counter: token counter,
+ *   summary: stored rolling summary { text, coveredUntilId } to extend,
+ *   context: strategy options (see DEFAULT_CONTEXT_OPTIONS) }
+ * @returns {Promise<Object>} { messages: processed messages, summarized: boolean,
+ *   summaryContext, summary: rolling summary in effect, summaryUpdated: boolean,
+ *   dropped: number of older messages left out }
  */
-export async function prepareMessagesForContext(messages, modelId, summarizeFunc) {
-  const maxTokens = MODEL_CONTEXT_LIMITS[modelId] || 4096;
-  const targetTokens = Math.floor(maxTokens * SUMMARIZE_THRESHOLD);
+export async function prepareMessagesForContext(messages, modelId, summarizeFunc, options = {}) {
+  const { strategy, threshold, recentCount, keepPinned } = normalizeContextOptions(options.context);
+  const maxTokens = getContextLimit(modelId);
+  const targetTokens = Math.floor(maxTokens * threshold);
+  // Memories and retrieved excerpts count against the budget like the system prompt
+  const systemPrompt = [options.systemPrompt?.trim(), options.memoryContext, options.retrievedContext]
+    .filter(Boolean)
+    .join('\n\n');
+
+  const fits = (kept) => countPromptTokens(kept, systemPrompt, options.counter) <= targetTokens;
+  const unsummarized = (processed) => ({
+    messages: withSystemMessage(processed, systemPrompt),
+    summarized: false,
+    summaryContext: null,
+    summary: options.summary || null,
+    summaryUpdated: false,
+    dropped: messages.length - processed.length
+  });
 
   // If within limits, return as-is
-  if (estimateMessagesTokens(messages) <= targetTokens) {
-    return { messages, summarized: false, summaryContext: null };
+  if (fits(messages)) {
+    return unsummarized(messages);
   }
 
-  // Need to summarize
-  log('[Memory] Context limit approaching, initiating summarization...');
+  log('[Memory] Context limit approaching, applying strategy:', strategy);
 
-  // Keep the most recent messages verbatim
-  const recentMessages = messages.slice(-MIN_RECENT_MESSAGES);
-  const olderMessages = messages.slice(0, -MIN_RECENT_MESSAGES);
+  // Keep the most recent messages verbatim, plus pinned ones wherever they are
+  const olderMessages = messages.slice(0, -recentCount);
+  const pinnedMessages = keepPinned ? olderMessages.filter(m => m.pinned) : [];
+  const verbatim = new Set([...pinnedMessages, ...messages.slice(-recentCount)]);
+  const recentMessages = messages.filter(m => verbatim.has(m));
 
   if (olderMessages.length === 0) {
     // Not enough messages to summarize, just return recent
-    return { messages: recentMessages, summarized: false, summaryContext: null };
+    return unsummarized(recentMessages);
   }
 
-  // Generate summary of older messages
-  const summaryPrompt = createSummarizationPrompt(olderMessages);
+  if (strategy === CONTEXT_STRATEGIES.SLIDING_WINDOW) {
+    const newestFirst = olderMessages.filter(m => !verbatim.has(m)).reverse();
+    return unsummarized(fillBudget(messages, verbatim, newestFirst, fits));
+  }
+
+  if (strategy === CONTEXT_STRATEGIES.RETRIEVAL) {
+    const question = [...messages].reverse().find(m => m.role === 'user');
+    const relevant = rankByRelevance(olderMessages.filter(m => !verbatim.has(m)), question?.content);
+    return unsummarized(fillBudget(messages, verbatim, relevant, fits));
+  }
 
-  let summary;
-  try {
-    summary = await summarizeFunc(summaryPrompt);
-  } catch (err) {
-    console.error('[Memory] Summarization failed:', err);
-    // Fallback: just truncate older messages
-    return { messages: recentMessages, summarized: false, summaryContext: null };
+  // Only messages that aged out since the stored summary need summarizing
+  const lastOlder = olderMessages[olderMessages.length - 1];
+  const pending = uncoveredMessages(options.summary, olderMessages);
+  let summary = options.summary;
+  let summaryUpdated = false;
+
+  if (!pending || pending.length > 0) {
+    const summaryPrompt = pending
+      ? createSummaryUpdatePrompt(summary.text, pending)
+      : createSummarizationPrompt(olderMessages);
+
+    try {
+      const text = (await summarizeFunc(summaryPrompt)).trim();
+      if (!text) throw new Error('Empty summary');
+      // Unsaved messages have no ID to resume from; the next turn rebuilds it
+      summary = { text, coveredUntilId: lastOlder.id || null };
+      summaryUpdated = true;
+    } catch (err) {
+      console.error('[Memory] Summarization failed:', err);
+      // Fallback: keep a stale summary of this branch, or just truncate older messages
+      if (!pending) return unsummarized(recentMessages);
+    }
+  } else {
+    log('[Memory] Reusing stored summary');
   }
 
   // Create system message with context summary
-  const summaryContext = `Previous conversation summary: ${summary}`;
+  const summaryContext = `Previous conversation summary: ${summary.text}`;
 
-  // Build new message array with summary context
-  const processedMessages = [
-    { role: 'system', content: summaryContext },
-    ...recentMessages
-  ];
+  // Build new message array with summary context merged into the system message
+  const processedMessages = withSystemMessage(
+    recentMessages,
+    [systemPrompt, summaryContext].filter(Boolean).join('\n\n')
+  );
 
   log('[Memory] Summarization complete. Reduced from', messages.length, 'to', processedMessages.length, 'messages');
 
   return {
     messages: processedMessages,
     summarized: true,
-    summaryContext
+    summaryContext,
+    summary,
+    summaryUpdated,
+    dropped: 0
   };
 }
 
@@ -217,37 +435,106 @@ export function exportConversation(messages, metadata = {}) {
  */
 export function createContextManager(modelId) {
   let currentModelId = modelId;
-  let conversationSummary = null;
+  let conversationSummary = null; // Rolling summary { text, coveredUntilId }
+  let systemPrompt = '';
+  let retriever = null;
+  let memoryProvider = null;
+  let contextOptions = { ...DEFAULT_CONTEXT_OPTIONS };
+  let counter = HEURISTIC_COUNTER;
 
   return {
     setModel(newModelId) {
       currentModelId = newModelId;
+      // The previous model's tokenizer no longer applies
+      counter.dispose?.();
+      counter = HEURISTIC_COUNTER;
+    },
+
+    /**
+     * Count tokens with a model's tokenizer (see tokenizer.js)
+     * @param {Object|null} tokenCounter - Counter for the current model, or null for the heuristic
+     */
+    setTokenCounter(tokenCounter) {
+      if (counter !== tokenCounter) counter.dispose?.();
+      counter = tokenCounter || HEURISTIC_COUNTER;
+    },
+
+    setSystemPrompt(prompt) {
+      systemPrompt = prompt || '';
+    },
+
+    /**
+     * Set the document retriever used by prepare()
+     * @param {Function|null} fn - async (question) => { context, sources } or null
+     */
+    setRetriever(fn) {
+      retriever = fn;
+    },
+
+    /**
+     * Set the long-term memory source used by prepare()
+     * @param {Function|null} fn - (question) => memory text for the system message ('' for none)
+     */
+    setMemoryProvider(fn) {
+      memoryProvider = fn;
+    },
+
+    /**
+     * Choose how older messages are handled (usually per chat)
+     * @param {Object} options - Partial { strategy, threshold, recentCount, keepPinned }
+     */
+    setContextOptions(options) {
+      contextOptions = normalizeContextOptions(options);
     },
 
     getMaxTokens() {
-      return MODEL_CONTEXT_LIMITS[currentModelId] || 4096;
+      return getContextLimit(currentModelId);
     },
 
     getStatus(messages) {
-      return getContextStatus(messages, currentModelId);
+      return getContextStatus(messages, currentModelId, { systemPrompt, counter, threshold: contextOptions.threshold });
     },
 
     needsSummarization(messages) {
-      return needsSummarization(messages, currentModelId);
+      return needsSummarization(messages, currentModelId, { systemPrompt, counter, threshold: contextOptions.threshold });
     },
 
     async prepare(messages, summarizeFunc) {
-      const result = await prepareMessagesForContext(messages, currentModelId, summarizeFunc);
-      if (result.summaryContext) {
-        conversationSummary = result.summaryContext;
+      // Retrieve document excerpts relevant to the latest question
+      let retrieval = null;
+      const question = [...messages].reverse().find(m => m.role === 'user');
+      if (retriever && question) {
+        try {
+          retrieval = await retriever(question.content);
+        } catch (err) {
+          console.error('[Memory] Retrieval failed:', err);
+        }
       }
-      return result;
+
+      const result = await prepareMessagesForContext(messages, currentModelId, summarizeFunc, {
+        systemPrompt,
+        memoryContext: memoryProvider?.(question?.content || ''),
+        retrievedContext: retrieval?.context,
+        counter,
+        summary: conversationSummary,
+        context: contextOptions
+      });
+      conversationSummary = result.summary;
+      return { ...result, sources: retrieval?.sources || [] };
     },
 
     getSummary() {
       return conversationSummary;
     },
 
+    /**
+     * Resume from a stored rolling summary (e.g. saved with the chat)
+     * @param {Object|null} summary - { text, coveredUntilId }
+     */
+    setSummary(summary) {
+      conversationSummary = summary?.text ? summary : null;
+    },
+
     clearSummary() {
       conversationSummary = null;
     }
@@ -0,0 +1,162 @@
+/**
+ * Model Registry Module
+ * Single source of truth for the models offered in the app: built-in WebLLM
+ * models plus any MLC-compiled models the user registers in Settings
+ */
+
+export const DEFAULT_MODEL_ID = 'Qwen3-0.6B-q4f16_1-MLC';
+
+const DEFAULT_CONTEXT_LIMIT = 4096;
+const MIN_CONTEXT_WINDOW = 512;
+const MAX_CONTEXT_WINDOW = 131072;
+const MAX_CUSTOM_MODELS = 20;
+
+// Prebuilt WebLLM models
+// Context limits are conservative estimates for 4-bit quantized models;
+// VRAM figures come from WebLLM's prebuilt model list, as do buffer sizes:
+// models it marks as low-resource run within the 128 MB storage binding
+// WebLLM falls back to; the others need its full 1 GB buffer limits
+const BUILTIN_MODELS = [
+  { id: 'Qwen3-0.6B-q4f16_1-MLC', name: 'Qwen3 0.6B (Fast)', contextWindow: 4096, vramRequiredMB: 1403, bufferSizeRequiredMB: 128 },
+  { id: 'Llama-3.2-1B-Instruct-q4f16_1-MLC', name: 'Llama 3.2 1B', contextWindow: 8192, vramRequiredMB: 879, bufferSizeRequiredMB: 128 },
+  { id: 'SmolLM2-1.7B-Instruct-q4f16_1-MLC', name: 'SmolLM2 1.7B', contextWindow: 4096, vramRequiredMB: 1774, bufferSizeRequiredMB: 128 },
+  { id: 'gemma-2-2b-it-q4f16_1-MLC', name: 'Gemma 2 2B', contextWindow: 4096, vramRequiredMB: 1895, bufferSizeRequiredMB: 1024 },
+  { id: 'Llama-3.2-3B-Instruct-q4f16_1-MLC', name: 'Llama 3.2 3B', contextWindow: 8192, vramRequiredMB: 2264, bufferSizeRequiredMB: 128 },
+  { id: 'Phi-3.5-mini-instruct-q4f16_1-MLC', name: 'Phi-3.5 Mini (Best)', contextWindow: 8192, vramRequiredMB: 3672, bufferSizeRequiredMB: 1024 },
+  // Accepts images; WebLLM builds it with a 4K context
+  { id: 'Phi-3.5-vision-instruct-q4f16_1-MLC', name: 'Phi-3.5 Vision (Images)', contextWindow: 4096, vramRequiredMB: 3952, bufferSizeRequiredMB: 128, vision: true }
+];
+
+let customModels = [];
+
+/**
+ * Get all models, built-in first
+ * @returns {Array} Model entries { id, name, contextWindow, vramRequiredMB?, bufferSizeRequiredMB?, custom? }
+ */
+export function getModels() {
+  return [...BUILTIN_MODELS, ...customModels];
+}
+
+/**
+ * Get a model entry by ID
+ * @param {string} modelId - Model ID
+ * @returns {Object|null} Model entry or null
+ */
+export function getModel(modelId) {
+  return getModels().find(m => m.id === modelId) || null;
+}
+
+/**
+ * Check if a model accepts images
+ * @param {string} modelId - Model ID
+ * @returns {boolean}
+ */
+export function supportsVision(modelId) {
+  return getModel(modelId)?.vision === true;
+}
+
+/**
+ * Get the first model that accepts images
+ * @returns {Object|null} Model entry
+ */
+export function getVisionModel() {
+  return getModels().find(m => m.vision) || null;
+}
+
+/**
+ * Get the context window to budget for a model
+ * @param {string} modelId - Model ID
+ * @returns {number} Context limit in tokens
+ */
+export function getContextLimit(modelId) {
+  return getModel(modelId)?.contextWindow || DEFAULT_CONTEXT_LIMIT;
+}
+
+/**
+ * Get the user's registered models
+ * @returns {Array} Custom model entries
+ */
+export function getCustomModels() {
+  return [...customModels];
+}
+
+/**
+ * Replace the user's registered models (e.g. after loading the profile)
+ * Invalid entries and entries shadowing built-in models are dropped
+ * @param {Array} models - Custom model entries
+ */
+export function setCustomModels(models) {
+  customModels = (Array.isArray(models) ? models : [])
+    .map(m => validateCustomModel(m).model)
+    .filter(Boolean)
+    .slice(0, MAX_CUSTOM_MODELS);
+}
+
+// Hosts connect-src in firebase.json lets model files download from; keep in sync.
+// A leading dot matches any subdomain.
+const MODEL_FILE_HOSTS = ['huggingface.co', '.hf.co', 'raw.githubusercontent.com'];
+const MODEL_FILE_HOSTS_TEXT = 'huggingface.co, *.hf.co or raw.githubusercontent.com';
+
+function isModelFileUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && MODEL_FILE_HOSTS.some(host => (
+      host.startsWith('.') ? url.hostname.endsWith(host) : url.hostname === host
+    ));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validate and normalize a user-supplied model definition
+ * @param {Object} input - { id, name, weightsUrl, wasmUrl, contextWindow }
+ * @returns {Object} { model } on success, { error } otherwise
+ */
+export function validateCustomModel(input = {}) {
+  const id = String(input.id || '').trim();
+  const name = String(input.name || '').trim() || id;
+  const weightsUrl = String(input.weightsUrl || '').trim();
+  const wasmUrl = String(input.wasmUrl || '').trim();
+  const contextWindow = Math.round(Number(input.contextWindow));
+
+  if (!/^[\w.-]+$/.test(id)) {
+    return { error: 'Model ID may only contain letters, numbers, dots, dashes and underscores' };
+  }
+  if (BUILTIN_MODELS.some(m => m.id === id)) {
+    return { error: 'That model ID is already built in' };
+  }
+  if (!isModelFileUrl(weightsUrl)) {
+    return { error: `Weights URL must be an https:// URL on ${MODEL_FILE_HOSTS_TEXT}` };
+  }
+  if (!isModelFileUrl(wasmUrl)) {
+    return { error: `Wasm library URL must be an https:// URL on ${MODEL_FILE_HOSTS_TEXT}` };
+  }
+  if (!Number.isFinite(contextWindow) || contextWindow < MIN_CONTEXT_WINDOW || contextWindow > MAX_CONTEXT_WINDOW) {
+    return { error: `Context window must be between ${MIN_CONTEXT_WINDOW} and ${MAX_CONTEXT_WINDOW}` };
+  }
+
+  return {
+    model: { id, name: name.slice(0, 60), weightsUrl, wasmUrl, contextWindow, custom: true }
+  };
+}
+
+/**
+ * Build the WebLLM app config: the prebuilt model list plus custom models
+ * @param {Object} prebuiltAppConfig - WebLLM's prebuiltAppConfig
+ * @returns {Object} AppConfig for CreateWebWorkerMLCEngine
+ */
+export function buildAppConfig(prebuiltAppConfig) {
+  return {
+    ...prebuiltAppConfig,
+    model_list: [
+      ...prebuiltAppConfig.model_list,
+      ...customModels.map(m => ({
+        model: m.weightsUrl,
+        model_id: m.id,
+        model_lib: m.wasmUrl,
+        overrides: { context_window_size: m.contextWindow }
+      }))
+    ]
+  };
+}
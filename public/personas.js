@@ -0,0 +1,104 @@
+/**
+ * Personas Module
+ * Reusable assistants: a name and icon, a system prompt, a preferred model,
+ * default generation settings and starter messages for new chats
+ */
+
+export const MAX_PERSONAS = 20;
+export const MAX_STARTERS = 4;
+
+const MAX_NAME_LENGTH = 40;
+const MAX_ICON_LENGTH = 8; // Room for multi-codepoint emoji
+const MAX_SYSTEM_PROMPT_LENGTH = 4000; // Matches firestore.rules
+const MAX_STARTER_LENGTH = 200;
+const DEFAULT_ICON = '🤖';
+
+function toNumber(value, min, max) {
+  const num = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(num)) return undefined;
+  return Math.min(max, Math.max(min, num));
+}
+
+/**
+ * Validate a persona from the Settings form or the profile
+ * @param {Object} input - { id?, name, icon, systemPrompt, modelId, settings, starters }
+ * @param {Function} hasModel - (modelId) => whether the model is in the registry
+ * @returns {Object} { persona } cleaned on success, { error } otherwise
+ */
+export function validatePersona(input, hasModel = () => true) {
+  const name = String(input?.name || '').trim();
+  const icon = String(input?.icon || '').trim() || DEFAULT_ICON;
+  const systemPrompt = String(input?.systemPrompt || '').trim();
+  const modelId = String(input?.modelId || '').trim();
+
+  if (!name) {
+    return { error: 'Name is required' };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (icon.length > MAX_ICON_LENGTH) {
+    return { error: 'Icon must be a single emoji or a few characters' };
+  }
+  if (systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+    return { error: `System prompt must be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters` };
+  }
+  if (modelId && !hasModel(modelId)) {
+    return { error: 'Unknown model' };
+  }
+
+  // Only settings the user set are stored; the rest come from the chat defaults
+  const raw = input?.settings || {};
+  const settings = {};
+  const temperature = toNumber(raw.temperature, 0, 2);
+  const topP = toNumber(raw.topP, 0.01, 1);
+  const maxTokens = toNumber(raw.maxTokens, 16, 4096);
+  if (temperature !== undefined) settings.temperature = temperature;
+  if (topP !== undefined) settings.topP = topP;
+  if (maxTokens !== undefined) settings.maxTokens = Math.round(maxTokens);
+
+  const starters = (Array.isArray(input?.starters) ? input.starters : [])
+    .map(text => String(text || '').trim())
+    .filter(Boolean);
+  if (starters.length > MAX_STARTERS) {
+    return { error: `At most ${MAX_STARTERS} starter messages` };
+  }
+  if (starters.some(text => text.length > MAX_STARTER_LENGTH)) {
+    return { error: `Starter messages must be at most ${MAX_STARTER_LENGTH} characters` };
+  }
+
+  const id = typeof input?.id === 'string' && input.id
+    ? input.id
+    : `persona-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+  return { persona: { id, name, icon, systemPrompt, modelId: modelId || null, settings, starters } };
+}
+
+/**
+ * Sanitize personas loaded from the profile
+ * Personas whose model was removed keep working with the current model
+ * @param {Array} list - Stored personas
+ * @param {Function} hasModel - (modelId) => whether the model is in the registry
+ * @returns {Array} Valid personas with unique IDs, at most MAX_PERSONAS
+ */
+export function normalizePersonas(list, hasModel = () => true) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list
+    .filter(item => typeof item?.id === 'string')
+    .map(item => validatePersona(
+      { ...item, modelId: item.modelId && hasModel(item.modelId) ? item.modelId : null },
+      hasModel
+    ).persona)
+    .filter(persona => persona && !seen.has(persona.id) && seen.add(persona.id))
+    .slice(0, MAX_PERSONAS);
+}
+
+/**
+ * Chat settings a new chat starts with under a persona
+ * @param {Object} persona - Persona
+ * @returns {Object} Partial chat settings (normalized by the caller)
+ */
+export function personaChatSettings(persona) {
+  return { ...persona.settings, systemPrompt: persona.systemPrompt };
+}
@@ -0,0 +1,169 @@
+/**
+ * Prompt Library Module
+ * Reusable prompts invoked as /commands: built-in defaults, validation,
+ * {{variable}} templates and JSON import/export
+ */
+
+export const MAX_PROMPTS = 100;
+export const MAX_TEMPLATE_LENGTH = 4000;
+
+const COMMAND_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][\w-]*)\s*\}\}/g;
+const EXPORT_FORMAT = 'llm-chat-prompts';
+
+// Placeholders filled from the page rather than asked for
+export const SPECIAL_VARIABLES = ['selection', 'clipboard'];
+
+export const BUILTIN_PROMPTS = [
+  { command: 'summarize', title: 'Summarize', template: 'Summarize this in a few bullet points:\n\n{{selection}}' },
+  { command: 'explain', title: 'Explain simply', template: 'Explain this in simple terms:\n\n{{selection}}' },
+  { command: 'tests', title: 'Write unit tests', template: 'Write unit tests in {{framework}} for this code:\n\n{{selection}}' },
+  { command: 'translate', title: 'Translate', template: 'Translate this to {{language}}:\n\n{{selection}}' },
+  { command: 'fix', title: 'Fix grammar', template: 'Fix the grammar and spelling, keeping the meaning:\n\n{{selection}}' },
+  { command: 'review', title: 'Review code', template: 'Review this code for bugs and readability:\n\n{{clipboard}}' }
+].map(prompt => ({ ...prompt, builtin: true }));
+
+/**
+ * Validate a user prompt
+ * @param {Object} input - { command, title, template }
+ * @returns {Object} { prompt } cleaned on success, { error } otherwise
+ */
+export function validatePrompt(input) {
+  const command = String(input?.command || '').trim().replace(/^\//, '').toLowerCase();
+  const title = String(input?.title || '').trim().slice(0, 60);
+  const template = String(input?.template || '').trim();
+
+  if (!COMMAND_PATTERN.test(command)) {
+    return { error: 'Command must be 1-32 letters, numbers, - or _' };
+  }
+  if (!template) {
+    return { error: 'Prompt text is required' };
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return { error: `Prompt text must be at most ${MAX_TEMPLATE_LENGTH} characters` };
+  }
+
+  return { prompt: { command, title: title || command, template } };
+}
+
+/**
+ * Sanitize prompts loaded from the profile
+ * @param {Array} list - Stored prompts
+ * @returns {Array} Valid prompts with unique commands, at most MAX_PROMPTS
+ */
+export function normalizePrompts(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list
+    .map(item => validatePrompt(item).prompt)
+    .filter(prompt => prompt && !seen.has(prompt.command) && seen.add(prompt.command))
+    .slice(0, MAX_PROMPTS);
+}
+
+/**
+ * Combine the user's prompts with the built-ins
+ * A user prompt with a built-in's command replaces it
+ * @param {Array} userPrompts - Normalized user prompts
+ * @returns {Array} Library sorted by command
+ */
+export function buildLibrary(userPrompts) {
+  const commands = new Set(userPrompts.map(p => p.command));
+  return [...userPrompts, ...BUILTIN_PROMPTS.filter(p => !commands.has(p.command))]
+    .sort((a, b) => a.command.localeCompare(b.command));
+}
+
+/**
+ * Parse a leading /command in the message input
+ * @param {string} text - Input text
+ * @returns {Object|null} { command, rest } (command may be partial), or null
+ */
+export function parseSlashCommand(text) {
+  const match = /^\/([a-z0-9_-]*)(?:\s+([\s\S]*))?$/i.exec(text || '');
+  if (!match) return null;
+  return { command: match[1].toLowerCase(), rest: (match[2] || '').trim() };
+}
+
+/**
+ * Find prompts for the autocomplete list
+ * @param {Array} library - Prompt library
+ * @param {string} query - Partial command
+ * @returns {Array} Prefix matches first, then other matches in the command or title
+ */
+export function matchPrompts(library, query) {
+  const q = query.toLowerCase();
+  const prefix = library.filter(p => p.command.startsWith(q));
+  const rest = library.filter(p => !p.command.startsWith(q) &&
+    (p.command.includes(q) || p.title.toLowerCase().includes(q)));
+  return [...prefix, ...rest];
+}
+
+/**
+ * List the variables a template asks the user for
+ * @param {string} template - Prompt template
+ * @returns {Array<string>} Unique names, in order, without special placeholders
+ */
+export function getTemplateVariables(template) {
+  const names = [...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+  return [...new Set(names)].filter(name => !SPECIAL_VARIABLES.includes(name.toLowerCase()));
+}
+
+/**
+ * Check whether a template uses a placeholder
+ * @param {string} template - Prompt template
+ * @param {string} name - Placeholder name
+ * @returns {boolean}
+ */
+export function usesVariable(template, name) {
+  return [...template.matchAll(VARIABLE_PATTERN)].some(match => match[1].toLowerCase() === name);
+}
+
+/**
+ * Fill a template's placeholders
+ * @param {string} template - Prompt template
+ * @param {Object} values - Values by placeholder name (missing ones become empty)
+ * @returns {string}
+ */
+export function fillTemplate(template, values) {
+  return template
+    .replace(VARIABLE_PATTERN, (match, name) => values[name] ?? values[name.toLowerCase()] ?? '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Serialize the user's prompts for download
+ * @param {Array} prompts - User prompts
+ * @returns {string} JSON
+ */
+export function exportPrompts(prompts) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    prompts: prompts.map(({ command, title, template }) => ({ command, title, template }))
+  }, null, 2);
+}
+
+/**
+ * Parse an exported library (or a bare array of prompts)
+ * @param {string} text - File contents
+ * @returns {Object} { prompts } on success, { error } otherwise
+ */
+export function importPrompts(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { error: 'File is not valid JSON' };
+  }
+
+  const list = Array.isArray(data) ? data : data?.prompts;
+  if (!Array.isArray(list)) {
+    return { error: 'No prompts found in file' };
+  }
+
+  const prompts = normalizePrompts(list);
+  if (prompts.length === 0) {
+    return { error: 'No valid prompts found in file' };
+  }
+  return { prompts };
+}
@@ -0,0 +1,288 @@
+/**
+ * Document Retrieval Module
+ * Local RAG: extracts text from uploaded files, chunks and embeds it, stores
+ * vectors in IndexedDB and finds the chunks most relevant to a question.
+ * Documents never leave the device.
+ */
+
+import {
+  putRecords,
+  getRecord,
+  getRecordsByIndex,
+  deleteRecord,
+  deleteRecordsByIndex,
+  clearStores
+} from './idb.js';
+
+// Conditional logging
+const DEBUG = false;
+function log(...args) {
+  if (DEBUG) console.log(...args);
+}
+
+export const EMBEDDING_MODEL_ID = 'snowflake-arctic-embed-m-q0f32-MLC-b4';
+
+// Arctic Embed expects this prefix on queries (not on documents)
+const QUERY_PREFIX = 'Represent this sentence for searching relevant passages: ';
+
+const CHUNK_SIZE = 1000; // Characters; well under the embedder's 512-token limit
+const CHUNK_OVERLAP = 150;
+const EMBED_BATCH_SIZE = 4; // Matches the -b4 model build
+const DEFAULT_TOP_K = 4;
+const MIN_SIMILARITY = 0.2;
+
+export const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+
+export const SUPPORTED_EXTENSIONS = [
+  'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'log', 'pdf',
+  'js', 'mjs', 'ts', 'jsx', 'tsx', 'py', 'java', 'c', 'h', 'cpp', 'cs', 'go', 'rs', 'rb', 'php',
+  'html', 'css', 'sql', 'sh', 'yaml', 'yml', 'xml', 'toml'
+];
+
+// pdf.js is only loaded when a PDF is uploaded
+const PDFJS_VERSION = '4.4.168';
+const PDFJS_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.min.mjs`;
+const PDFJS_WORKER_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.worker.min.mjs`;
+
+let pdfjsPromise = null;
+
+function getExtension(fileName) {
+  const dot = fileName.lastIndexOf('.');
+  return dot === -1 ? '' : fileName.slice(dot + 1).toLowerCase();
+}
+
+/**
+ * Check if a file can be indexed
+ * @param {File} file - Uploaded file
+ * @returns {string|null} Error message, or null if supported
+ */
+export function validateDocument(file) {
+  if (!SUPPORTED_EXTENSIONS.includes(getExtension(file.name))) {
+    return `${file.name}: unsupported file type`;
+  }
+  if (file.size > MAX_DOCUMENT_SIZE) {
+    return `${file.name}: larger than ${MAX_DOCUMENT_SIZE / 1024 / 1024} MB`;
+  }
+  return null;
+}
+
+async function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = (async () => {
+      const pdfjs = await import(PDFJS_URL);
+      // Workers must be same-origin (CSP worker-src 'self' blob:), so run it from a blob
+      const workerSource = await (await fetch(PDFJS_WORKER_URL)).text();
+      pdfjs.GlobalWorkerOptions.workerSrc = URL.createObjectURL(
+        new Blob([workerSource], { type: 'text/javascript' })
+      );
+      return pdfjs;
+    })().catch(err => {
+      pdfjsPromise = null;
+      throw err;
+    });
+  }
+  return pdfjsPromise;
+}
+
+async function extractPdfText(file) {
+  const pdfjs = await loadPdfjs();
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+
+  const pages = [];
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const page = await pdf.getPage(i);
+    const { items } = await page.getTextContent();
+    pages.push(items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''));
+  }
+  await pdf.destroy();
+
+  return pages.join('\n\n');
+}
+
+/**
+ * Extract plain text from an uploaded file
+ * @param {File} file - Uploaded file
+ * @returns {Promise<string>}
+ */
+export async function extractText(file) {
+  if (getExtension(file.name) === 'pdf') {
+    return extractPdfText(file);
+  }
+  return file.text();
+}
+
+/**
+ * Split text into overlapping chunks, preferring paragraph and line breaks
+ * @param {string} text - Document text
+ * @returns {Array<string>} Chunks
+ */
+export function chunkText(text) {
+  const clean = text.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  const chunks = [];
+  let start = 0;
+
+  while (start < clean.length) {
+    let end = Math.min(start + CHUNK_SIZE, clean.length);
+
+    if (end < clean.length) {
+      // Break at the last paragraph, line or sentence end in the second half of the window
+      const window = clean.slice(start, end);
+      const breakAt = Math.max(
+        window.lastIndexOf('\n\n'),
+        window.lastIndexOf('\n'),
+        window.lastIndexOf('. ')
+      );
+      if (breakAt > CHUNK_SIZE / 2) end = start + breakAt + 1;
+    }
+
+    const chunk = clean.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= clean.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+
+  return chunks;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return Float32Array.from(vector, v => v / norm);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Index a document for a chat: extract, chunk, embed and store it
+ * @param {string} chatId - Chat the document belongs to
+ * @param {File} file - Uploaded file
+ * @param {Function} embed - async (texts) => vectors
+ * @param {Function} onProgress - Called with (chunksDone, chunksTotal)
+ * @returns {Promise<Object>} Document record { id, chatId, name, size, chunkCount, createdAt }
+ */
+export async function addDocument(chatId, file, embed, onProgress = () => {}) {
+  const text = await extractText(file);
+  const pieces = chunkText(text);
+  if (pieces.length === 0) {
+    throw new Error(`${file.name}: no text found`);
+  }
+
+  const docId = `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const chunks = [];
+  onProgress(0, pieces.length);
+
+  for (let i = 0; i < pieces.length; i += EMBED_BATCH_SIZE) {
+    const batch = pieces.slice(i, i + EMBED_BATCH_SIZE);
+    const vectors = await embed(batch);
+    batch.forEach((piece, j) => {
+      chunks.push({
+        id: `${docId}-${i + j}`,
+        docId,
+        chatId,
+        docName: file.name,
+        index: i + j,
+        text: piece,
+        vector: normalize(vectors[j])
+      });
+    });
+    onProgress(Math.min(i + EMBED_BATCH_SIZE, pieces.length), pieces.length);
+  }
+
+  const doc = {
+    id: docId,
+    chatId,
+    name: file.name,
+    size: file.size,
+    chunkCount: chunks.length,
+    createdAt: new Date()
+  };
+
+  await putRecords('chunks', chunks);
+  await putRecords('documents', doc);
+  log('[RAG] Indexed', file.name, 'as', chunks.length, 'chunks');
+  return doc;
+}
+
+/**
+ * List a chat's documents, oldest first
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Array>}
+ */
+export async function listDocuments(chatId) {
+  const docs = await getRecordsByIndex('documents', 'chatId', chatId);
+  return docs.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Get a stored chunk (for showing a citation's source)
+ * @param {string} chunkId - Chunk ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getChunk(chunkId) {
+  return getRecord('chunks', chunkId);
+}
+
+/**
+ * Delete a document and its chunks
+ * @param {string} docId - Document ID
+ */
+export async function removeDocument(docId) {
+  await deleteRecordsByIndex('chunks', 'docId', docId);
+  await deleteRecord('documents', docId);
+}
+
+/**
+ * Delete all of a chat's documents
+ * @param {string} chatId - Chat ID
+ */
+export async function removeChatDocuments(chatId) {
+  await deleteRecordsByIndex('chunks', 'chatId', chatId);
+  await deleteRecordsByIndex('documents', 'chatId', chatId);
+}
+
+/**
+ * Delete every stored document
+ */
+export async function clearDocuments() {
+  await clearStores('documents', 'chunks');
+}
+
+/**
+ * Find the chunks of a chat's documents most similar to a question
+ * @param {string} chatId - Chat ID
+ * @param {string} question - User question
+ * @param {Function} embed - async (texts) => vectors
+ * @param {number} topK - Maximum chunks to return
+ * @returns {Promise<Array>} Chunks with `score`, best first
+ */
+export async function searchDocuments(chatId, question, embed, topK = DEFAULT_TOP_K) {
+  const chunks = await getRecordsByIndex('chunks', 'chatId', chatId);
+  if (chunks.length === 0 || !question.trim()) return [];
+
+  const [queryVector] = await embed([QUERY_PREFIX + question]);
+  const query = normalize(queryVector);
+
+  return chunks
+    .map(chunk => ({ ...chunk, score: dot(query, chunk.vector) }))
+    .filter(chunk => chunk.score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+/**
+ * Format retrieved chunks as numbered excerpts for the system message
+ * @param {Array} chunks - Result of searchDocuments()
+ * @returns {string}
+ */
+export function formatRetrievedContext(chunks) {
+  const excerpts = chunks
+    .map((chunk, i) => `[${i + 1}] (${chunk.docName}, part ${chunk.index + 1})\n${chunk.text}`)
+    .join('\n\n');
+
+  return `Use these excerpts from the user's documents when relevant. Cite them inline by number, e.g. [1].
+
+${excerpts}`;
+}
@@ -0,0 +1,58 @@
+/**
+ * Reasoning Module
+ * Separates model "thinking" output (<think>...</think>) from the answer
+ */
+
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+/**
+ * Check if a model emits reasoning and supports toggling thinking mode
+ * @param {string} modelId - Model ID
+ * @returns {boolean}
+ */
+export function supportsThinking(modelId) {
+  return /^Qwen3-/i.test(modelId || '');
+}
+
+/**
+ * Split raw model output into reasoning and answer
+ * Works on partial output while streaming: an unclosed <think> block means
+ * the model is still reasoning
+ * @param {string} text - Raw model output
+ * @returns {Object} { reasoning, content, isThinking }
+ */
+export function splitReasoning(text) {
+  if (!text) return { reasoning: '', content: '', isThinking: false };
+
+  const start = text.indexOf(THINK_OPEN);
+  if (start === -1) {
+    return { reasoning: '', content: text, isThinking: false };
+  }
+
+  const reasoningStart = start + THINK_OPEN.length;
+  const end = text.indexOf(THINK_CLOSE, reasoningStart);
+
+  if (end === -1) {
+    return {
+      reasoning: text.slice(reasoningStart).trim(),
+      content: text.slice(0, start).trim(),
+      isThinking: true
+    };
+  }
+
+  return {
+    reasoning: text.slice(reasoningStart, end).trim(),
+    content: (text.slice(0, start) + text.slice(end + THINK_CLOSE.length)).trim(),
+    isThinking: false
+  };
+}
+
+/**
+ * Remove reasoning from model output, keeping only the answer
+ * @param {string} text - Raw model output
+ * @returns {string} Answer text
+ */
+export function stripReasoning(text) {
+  return splitReasoning(text).content;
+}
@@ -0,0 +1,134 @@
+/**
+ * Storage Module
+ * Chooses where chats are kept and forwards calls to that backend:
+ * "Firebase sync" (db.js, Firestore) or "Local only" (local-db.js, IndexedDB).
+ * Backends are loaded on demand, so local mode never loads Firebase.
+ */
+
+export const STORAGE_MODES = {
+  LOCAL: 'local',
+  FIREBASE: 'firebase'
+};
+
+const STORAGE_MODE_KEY = 'storageMode';
+
+const BACKENDS = {
+  [STORAGE_MODES.LOCAL]: './local-db.js',
+  [STORAGE_MODES.FIREBASE]: './db.js'
+};
+
+// The storage interface: every backend exports these with the same signatures
+const STORAGE_METHODS = [
+  'connect',
+  'getUserId',
+  'getUserProfile',
+  'updateUserProfile',
+  'createChat',
+  'getChats',
+  'getChat',
+  'updateChat',
+  'updateChatSummary',
+  'deleteChat',
+  'addMessage',
+  'getMessages',
+  'updateMessageFeedback',
+  'updateMessagePinned',
+  'selectMessageBranch',
+  'searchMessages',
+  'getGenerationStats',
+  'subscribeToMessages',
+  'subscribeToChats',
+  'deleteAllUserData'
+];
+
+let backend = null;
+let activeMode = null;
+
+/**
+ * Get the storage mode chosen on this device
+ * @returns {string|null} A STORAGE_MODES value, or null if not chosen yet
+ */
+export function getStorageMode() {
+  const mode = localStorage.getItem(STORAGE_MODE_KEY);
+  return Object.values(STORAGE_MODES).includes(mode) ? mode : null;
+}
+
+/**
+ * Remember the storage mode; takes effect the next time storage is opened
+ * @param {string} mode - A STORAGE_MODES value
+ */
+export function setStorageMode(mode) {
+  if (!BACKENDS[mode]) throw new Error(`Unknown storage mode: ${mode}`);
+  localStorage.setItem(STORAGE_MODE_KEY, mode);
+}
+
+/**
+ * Load and connect a storage backend
+ * @param {string} mode - A STORAGE_MODES value
+ * @returns {Promise<void>}
+ */
+export async function openStorage(mode) {
+  if (!BACKENDS[mode]) throw new Error(`Unknown storage mode: ${mode}`);
+
+  const module = await import(BACKENDS[mode]);
+  const missing = STORAGE_METHODS.filter(name => typeof module[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage backend "${mode}" is missing: ${missing.join(', ')}`);
+  }
+
+  await module.connect();
+  backend = module;
+  activeMode = mode;
+}
+
+/**
+ * Get the mode of the open backend
+ * @returns {string|null} A STORAGE_MODES value, or null if none is open
+ */
+export function getActiveStorageMode() {
+  return activeMode;
+}
+
+function active() {
+  if (!backend) throw new Error('Storage not available');
+  return backend;
+}
+
+// Forwarders to the open backend; see db.js for documentation
+
+export function getUserId() {
+  return backend ? backend.getUserId() : null;
+}
+
+export function getUserProfile(...args) { return active().getUserProfile(...args); }
+export function updateUserProfile(...args) { return active().updateUserProfile(...args); }
+export function createChat(...args) { return active().createChat(...args); }
+export function getChats(...args) { return active().getChats(...args); }
+export function getChat(...args) { return active().getChat(...args); }
+export function updateChat(...args) { return active().updateChat(...args); }
+export function updateChatSummary(...args) { return active().updateChatSummary(...args); }
+export function deleteChat(...args) { return active().deleteChat(...args); }
+export function addMessage(...args) { return active().addMessage(...args); }
+export function getMessages(...args) { return active().getMessages(...args); }
+export function updateMessageFeedback(...args) { return active().updateMessageFeedback(...args); }
+export function updateMessagePinned(...args) { return active().updateMessagePinned(...args); }
+export function selectMessageBranch(...args) { return active().selectMessageBranch(...args); }
+export function searchMessages(...args) { return active().searchMessages(...args); }
+export function getGenerationStats(...args) { return active().getGenerationStats(...args); }
+export function subscribeToMessages(...args) { return active().subscribeToMessages(...args); }
+export function subscribeToChats(...args) { return active().subscribeToChats(...args); }
+export function deleteAllUserData(...args) { return active().deleteAllUserData(...args); }
+
+// Encryption of synced chats; only the Firebase backend has it, since local
+// data never leaves the device
+
+export function supportsEncryption() {
+  return typeof backend?.getEncryptionState === 'function';
+}
+
+export function getEncryptionState(...args) { return active().getEncryptionState(...args); }
+export function unlockEncryption(...args) { return active().unlockEncryption(...args); }
+export function enableEncryption(...args) { return active().enableEncryption(...args); }
+export function changeEncryptionPassphrase(...args) { return active().changeEncryptionPassphrase(...args); }
+export function finishPassphraseChange(...args) { return active().finishPassphraseChange(...args); }
+export function reencryptAll(...args) { return active().reencryptAll(...args); }
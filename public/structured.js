@@ -0,0 +1,163 @@
+/**
+ * Structured Output Module
+ * JSON mode helpers: schema parsing, prompt instructions and validation of
+ * model output against a JSON Schema subset
+ */
+
+const MAX_ERRORS = 5;
+
+const TYPE_CHECKS = {
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  null: v => v === null
+};
+
+/**
+ * Parse a user-supplied JSON Schema
+ * @param {string} text - Schema source (empty means "any JSON object")
+ * @returns {Object} { schema } on success (null when empty), { error } otherwise
+ */
+export function parseSchema(text) {
+  if (!text || !text.trim()) return { schema: null };
+
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (err) {
+    return { error: `Schema is not valid JSON: ${err.message}` };
+  }
+
+  if (!TYPE_CHECKS.object(schema)) {
+    return { error: 'Schema must be a JSON object' };
+  }
+  return { schema };
+}
+
+/**
+ * Build the system prompt addition that tells the model to answer in JSON
+ * Decoding is grammar-constrained anyway, but models follow the schema's
+ * intent far better when they can read it
+ * @param {string} schemaText - Schema source
+ * @returns {string}
+ */
+export function buildJsonInstruction(schemaText) {
+  if (!schemaText || !schemaText.trim()) {
+    return 'Respond only with a single JSON object.';
+  }
+  return `Respond only with a single JSON object matching this JSON Schema:\n${schemaText.trim()}`;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports type, enum, const, properties, required, additionalProperties,
+ * items, min/maxItems, min/maxLength, pattern, minimum/maximum and anyOf
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Location of the value, for error messages
+ * @returns {Array} Error messages (empty when valid)
+ */
+export function validateJson(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => TYPE_CHECKS[type]?.(value))) {
+      return [`${path} should be ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} should be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(sub => validateJson(value, sub, path).length === 0)) {
+    errors.push(`${path} doesn't match any allowed shape`);
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path} is missing "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(...validateJson(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path} has unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJson(child, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateJson(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} should be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} should be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          errors.push(`${path} should match /${schema.pattern}/`);
+        }
+      } catch (e) {
+        // Patterns JavaScript can't compile are not checked
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a model response in JSON mode
+ * @param {string} text - Model output
+ * @param {string} schemaText - Schema source for the chat
+ * @returns {Object} { valid, value, errors } (errors capped for storage)
+ */
+export function checkStructuredOutput(text, schemaText) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    return { valid: false, value: undefined, errors: ['Response is not valid JSON'] };
+  }
+
+  const { schema } = parseSchema(schemaText);
+  const errors = schema
+    ? validateJson(value, schema)
+    : (TYPE_CHECKS.object(value) ? [] : ['Response is not a JSON object']);
+
+  return { valid: errors.length === 0, value, errors: errors.slice(0, MAX_ERRORS) };
+}
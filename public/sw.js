@@ -0,0 +1,156 @@
+/**
+ * Service Worker
+ * Keeps the app shell and the pinned library modules in Cache Storage so the
+ * app starts without a network. Model weights are cached by WebLLM itself.
+ */
+
+// Bump to drop the previous shell after a deploy that renames or removes files
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `app-shell-${CACHE_VERSION}`;
+const LIBRARY_CACHE = `app-libs-${CACHE_VERSION}`;
+
+// Every module the page loads on startup
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'styles.css',
+  'manifest.webmanifest',
+  'icon.png',
+  'app.js',
+  'chat-data.js',
+  'storage.js',
+  'crypto.js',
+  'local-db.js',
+  'db.js',
+  'memory.js',
+  'reasoning.js',
+  'structured.js',
+  'tools.js',
+  'idb.js',
+  'rag.js',
+  'tokenizer.js',
+  'telemetry.js',
+  'prompts.js',
+  'personas.js',
+  'images.js',
+  'models.js',
+  'hardware.js',
+  'downloads.js',
+  'memories.js',
+  'llm-worker.js'
+];
+
+// Only needed for Firebase sync; local-only deployments may leave it out
+const OPTIONAL_FILES = ['firebase-config.js'];
+
+// Versions must match the imports in app.js, db.js, tokenizer.js and llm-worker.js.
+// These are jsDelivr's final URLs: esm.run only redirects to them.
+const LIBRARY_URLS = [
+  'https://cdn.jsdelivr.net/npm/@mlc-ai/web-llm@0.2.80/+esm',
+  'https://cdn.jsdelivr.net/npm/@mlc-ai/web-tokenizers@0.1.6/+esm',
+  'https://www.gstatic.com/firebasejs/10.8.0/firebase-app.js',
+  'https://www.gstatic.com/firebasejs/10.8.0/firebase-auth.js',
+  'https://www.gstatic.com/firebasejs/10.8.0/firebase-firestore.js'
+];
+
+// Version-pinned CDN files never change, so they are served cache-first
+// (including chunks the modules above import, and pdf.js once it is used)
+function isPinnedLibrary(url) {
+  if (url.hostname === 'www.gstatic.com') return url.pathname.startsWith('/firebasejs/');
+  return url.hostname === 'cdn.jsdelivr.net' && /@\d+\.\d+\.\d+/.test(url.pathname);
+}
+
+// jsDelivr's +esm builds load their dependencies as /npm/... modules
+const CHUNK_IMPORT_PATTERN = /(?:from|import)\s*\(?\s*["'](\/npm\/[^"']+)["']/g;
+
+/**
+ * Cache the library modules and every chunk they import, so none of them
+ * is left for the first online load to fetch
+ */
+async function precacheLibraries() {
+  const cache = await caches.open(LIBRARY_CACHE);
+  const pending = [...LIBRARY_URLS];
+  const seen = new Set(pending);
+
+  while (pending.length > 0) {
+    const url = pending.shift();
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to cache ${url}: ${response.status}`);
+    await cache.put(url, response.clone());
+    if (!url.startsWith('https://cdn.jsdelivr.net/')) continue;
+
+    for (const [, path] of (await response.text()).matchAll(CHUNK_IMPORT_PATTERN)) {
+      const chunk = new URL(path, url).href;
+      if (!seen.has(chunk)) {
+        seen.add(chunk);
+        pending.push(chunk);
+      }
+    }
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+    await Promise.all(OPTIONAL_FILES.map(file => shell.add(file).catch(() => {})));
+    await precacheLibraries();
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, LIBRARY_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('app-') && !keep.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Network first, so deploys show up on the next load; the cached copy is the fallback
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    // Any page URL opens the app
+    if (request.mode === 'navigate') {
+      const index = await cache.match('index.html');
+      if (index) return index;
+    }
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(LIBRARY_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  // /__/ is reserved for Firebase Hosting (auth handler, SDK config)
+  if (url.origin === self.location.origin && !url.pathname.startsWith('/__/')) {
+    event.respondWith(networkFirst(request));
+  } else if (isPinnedLibrary(url)) {
+    event.respondWith(cacheFirst(request));
+  }
+  // Everything else (Firebase APIs, model downloads) goes straight to the network
+});
@@ -0,0 +1,91 @@
+/**
+ * Telemetry Module
+ * Per-response performance stats from WebLLM usage data, their display
+ * and aggregation per model and device
+ */
+
+/**
+ * Build the stats saved with an assistant message
+ * @param {Object} run - { usage: final usage chunk (may be missing when stopped),
+ *   finishReason, firstTokenMs: measured time to first token, totalMs, device }
+ * @returns {Object} { ttftMs, prefillTokens, completionTokens, prefillTps, decodeTps, finishReason, device }
+ */
+export function buildGenerationStats({ usage, finishReason, firstTokenMs, totalMs, device }) {
+  const extra = usage?.extra || {};
+  const round1 = (value) => (Number.isFinite(value) ? Math.round(value * 10) / 10 : null);
+
+  const ttftMs = Number.isFinite(extra.time_to_first_token_s)
+    ? extra.time_to_first_token_s * 1000
+    : firstTokenMs;
+
+  // Stopped responses get no usage chunk; only the measured timings are kept
+  return {
+    ttftMs: Number.isFinite(ttftMs) ? Math.round(ttftMs) : null,
+    prefillTokens: usage?.prompt_tokens ?? null,
+    completionTokens: usage?.completion_tokens ?? null,
+    prefillTps: round1(extra.prefill_tokens_per_s),
+    decodeTps: round1(extra.decode_tokens_per_s),
+    totalMs: Number.isFinite(totalMs) ? Math.round(totalMs) : null,
+    finishReason: finishReason || 'unknown',
+    device: device || 'Unknown'
+  };
+}
+
+/**
+ * One-line summary for the message footer
+ * @param {Object} stats - Message stats
+ * @returns {string}
+ */
+export function formatStatsSummary(stats) {
+  if (stats.decodeTps !== null) return `${stats.decodeTps} tok/s`;
+  if (stats.totalMs !== null) return `${(stats.totalMs / 1000).toFixed(1)}s`;
+  return '';
+}
+
+/**
+ * Multi-line detail shown on hover
+ * @param {Object} stats - Message stats
+ * @returns {string}
+ */
+export function formatStatsDetail(stats) {
+  const value = (v, unit) => (v === null || v === undefined ? 'n/a' : `${v}${unit}`);
+  return [
+    `Time to first token: ${value(stats.ttftMs, ' ms')}`,
+    `Decode: ${value(stats.decodeTps, ' tok/s')}`,
+    `Prefill: ${value(stats.prefillTokens, ' tokens')} at ${value(stats.prefillTps, ' tok/s')}`,
+    `Completion: ${value(stats.completionTokens, ' tokens')}`,
+    `Finish reason: ${stats.finishReason}`,
+    `Device: ${stats.device}`
+  ].join('\n');
+}
+
+function average(values) {
+  const numbers = values.filter(Number.isFinite);
+  return numbers.length > 0 ? numbers.reduce((sum, v) => sum + v, 0) / numbers.length : null;
+}
+
+/**
+ * Aggregate stats per model and device
+ * @param {Array} entries - { modelId, stats }
+ * @returns {Array} Groups { modelId, device, count, avgTtftMs, avgDecodeTps, avgPrefillTps }, most used first
+ */
+export function aggregateStats(entries) {
+  const groups = new Map();
+
+  for (const { modelId, stats } of entries) {
+    const key = `${modelId}\n${stats.device}`;
+    if (!groups.has(key)) groups.set(key, { modelId, device: stats.device, items: [] });
+    groups.get(key).items.push(stats);
+  }
+
+  return [...groups.values()]
+    .map(({ modelId, device, items }) => ({
+      modelId,
+      device,
+      count: items.length,
+      avgTtftMs: average(items.map(s => s.ttftMs)),
+      avgDecodeTps: average(items.map(s => s.decodeTps)),
+      avgPrefillTps: average(items.map(s => s.prefillTps))
+    }))
+    .sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,125 @@
+/**
+ * Tokenizer Module
+ * Counts tokens with a model's own tokenizer and chat template, so context
+ * limits are checked against what the model will actually see
+ */
+
+import { Tokenizer } from 'https://cdn.jsdelivr.net/npm/@mlc-ai/web-tokenizers@0.1.6/+esm';
+import { cleanModelUrl } from './downloads.js';
+
+// Conditional logging
+const DEBUG = false;
+function log(...args) {
+  if (DEBUG) console.log(...args);
+}
+
+// Cache names used by WebLLM's Cache Storage backend
+const MODEL_CACHE = 'webllm/model';
+const CONFIG_CACHE = 'webllm/config';
+
+// Per-message counts kept per counter; plenty for any chat on screen
+const MAX_CACHED_COUNTS = 2000;
+
+/**
+ * Read a model file, preferring the copy WebLLM already cached
+ * @returns {Promise<Response>}
+ */
+async function fetchModelFile(cacheName, url) {
+  const cached = await (await caches.open(cacheName)).match(url);
+  if (cached) return cached;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} fetching ${url.split('/').pop()}`);
+  }
+  return response;
+}
+
+async function loadTokenizer(baseUrl, config) {
+  // Same preference order as WebLLM
+  if (config.tokenizer_files?.includes('tokenizer.json')) {
+    const response = await fetchModelFile(MODEL_CACHE, new URL('tokenizer.json', baseUrl).href);
+    return Tokenizer.fromJSON(await response.arrayBuffer());
+  }
+  if (config.tokenizer_files?.includes('tokenizer.model')) {
+    const response = await fetchModelFile(MODEL_CACHE, new URL('tokenizer.model', baseUrl).href);
+    return Tokenizer.fromSentencePiece(await response.arrayBuffer());
+  }
+  throw new Error('Model has no supported tokenizer file');
+}
+
+/**
+ * Render one message the way the model's conversation template does
+ * @param {Object} template - conv_template from mlc-chat-config.json
+ * @param {string} role - 'system', 'user', 'assistant' or 'tool'
+ * @param {string} content - Message text
+ * @returns {string}
+ */
+function formatMessage(template, role, content) {
+  if (role === 'system') {
+    return (template.system_template || '{system_message}').replace('{system_message}', content);
+  }
+
+  // Tool results are sent to the model as user turns
+  const templateRole = role === 'tool' ? 'user' : role;
+  const roleTemplate = template.role_templates?.[templateRole];
+  const body = roleTemplate ? roleTemplate.replace(`{${templateRole}_message}`, content) : content;
+  const sep = template.seps?.[templateRole === 'assistant' ? template.seps.length - 1 : 0] || '';
+
+  return `${template.roles?.[templateRole] || ''}${template.role_content_sep || ''}${body}${sep}`;
+}
+
+/**
+ * Create a token counter for a model
+ * @param {Object} record - model_list entry from the app config
+ * @returns {Promise<Object>} Counter { modelId, exact, countMessage(role, content), promptOverhead, dispose() }
+ */
+export async function createTokenCounter(record) {
+  const baseUrl = cleanModelUrl(record.model);
+  const configResponse = await fetchModelFile(CONFIG_CACHE, new URL('mlc-chat-config.json', baseUrl).href);
+  const config = await configResponse.json();
+  const tokenizer = await loadTokenizer(baseUrl, config);
+  const template = config.conv_template || {};
+
+  const countText = (text) => tokenizer.encode(text).length;
+  const counts = new Map();
+
+  // The assistant header the model is prompted with before it answers
+  const promptOverhead = countText(`${template.roles?.assistant || ''}${template.role_empty_sep || ''}`);
+
+  log('[Tokenizer] Loaded tokenizer for', record.model_id);
+
+  return {
+    modelId: record.model_id,
+    exact: true,
+    promptOverhead,
+
+    /**
+     * Count the tokens a message takes once formatted with the chat template
+     * @param {string} role - Message role
+     * @param {string} content - Message text
+     * @returns {number}
+     */
+    countMessage(role, content) {
+      const key = `${role}\n${content}`;
+      let count = counts.get(key);
+      if (count === undefined) {
+        count = countText(formatMessage(template, role, content));
+        if (counts.size >= MAX_CACHED_COUNTS) {
+          counts.delete(counts.keys().next().value);
+        }
+        counts.set(key, count);
+      }
+      return count;
+    },
+
+    /**
+     * Free the tokenizer's WebAssembly memory; the counter can't be used afterwards
+     */
+    dispose() {
+      tokenizer.dispose();
+      counts.clear();
+      log('[Tokenizer] Disposed tokenizer for', record.model_id);
+    }
+  };
+}
@@ -0,0 +1,345 @@
+/**
+ * Tools Module
+ * Local tools the model can call: a registry, the prompt that describes them,
+ * parsing of <tool_call> output and execution
+ */
+
+// Conditional logging
+const DEBUG = false;
+function log(...args) {
+  if (DEBUG) console.log(...args);
+}
+
+const TOOL_CALL_PATTERN = /<tool_call>\s*([\s\S]*?)\s*(?:<\/tool_call>|$)/;
+const MAX_SNIPPET_LENGTH = 200;
+
+// ============================================================================
+// Calculator
+// ============================================================================
+
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp
+};
+
+const MATH_CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * Evaluate an arithmetic expression without eval()
+ * Grammar: + - * / % ^, parentheses, unary minus, MATH_FUNCTIONS and MATH_CONSTANTS
+ * @param {string} expression - Expression such as "2 * (3 + 4) ^ 2"
+ * @returns {number} Result
+ */
+export function evaluateExpression(expression) {
+  const tokens = String(expression).match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z]+|[-+*/%^()]|\S/gi) || [];
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const op = next();
+      const right = parseUnary();
+      value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+    }
+    return value;
+  }
+
+  // Unary minus binds looser than ^, so -2^2 = -4
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    // Right-associative: 2^3^2 = 2^9
+    return peek() === '^' ? (next(), Math.pow(base, parseUnary())) : base;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (/^\d*\.?\d+(?:e[+-]?\d+)?$/i.test(token)) {
+      return parseFloat(token);
+    }
+
+    const name = token.toLowerCase();
+    if (Object.hasOwn(MATH_CONSTANTS, name)) return MATH_CONSTANTS[name];
+    if (Object.hasOwn(MATH_FUNCTIONS, name)) {
+      expect('(');
+      const arg = parseExpression();
+      expect(')');
+      return MATH_FUNCTIONS[name](arg);
+    }
+
+    throw new Error(`Unexpected "${token}"`);
+  }
+
+  const result = parseExpression();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+  if (!Number.isFinite(result)) throw new Error('Result is not a finite number');
+  return result;
+}
+
+// ============================================================================
+// Unit Conversion
+// ============================================================================
+
+// Factors to each category's base unit (meter, kilogram, liter, meter/second)
+const UNIT_FACTORS = {
+  length: { mm: 0.001, cm: 0.01, m: 1, km: 1000, in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344 },
+  mass: { mg: 1e-6, g: 0.001, kg: 1, t: 1000, oz: 0.028349523125, lb: 0.45359237 },
+  volume: { ml: 0.001, l: 1, tsp: 0.00492892, tbsp: 0.0147868, cup: 0.24, floz: 0.0295735, gal: 3.785411784 },
+  speed: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 0.514444 }
+};
+
+const TEMPERATURE_UNITS = {
+  c: { toKelvin: v => v + 273.15, fromKelvin: k => k - 273.15 },
+  f: { toKelvin: v => (v - 32) * 5 / 9 + 273.15, fromKelvin: k => (k - 273.15) * 9 / 5 + 32 },
+  k: { toKelvin: v => v, fromKelvin: k => k }
+};
+
+const UNIT_ALIASES = {
+  meter: 'm', meters: 'm', metre: 'm', kilometer: 'km', kilometers: 'km', mile: 'mi', miles: 'mi',
+  inch: 'in', inches: 'in', foot: 'ft', feet: 'ft', yard: 'yd', yards: 'yd',
+  gram: 'g', grams: 'g', kilogram: 'kg', kilograms: 'kg', pound: 'lb', pounds: 'lb', lbs: 'lb', ounce: 'oz', ounces: 'oz',
+  liter: 'l', liters: 'l', litre: 'l', milliliter: 'ml', gallon: 'gal', gallons: 'gal', cups: 'cup',
+  kph: 'km/h', kmh: 'km/h', knots: 'kn',
+  celsius: 'c', '°c': 'c', fahrenheit: 'f', '°f': 'f', kelvin: 'k'
+};
+
+function normalizeUnit(unit) {
+  const key = String(unit || '').trim().toLowerCase();
+  return UNIT_ALIASES[key] || key;
+}
+
+/**
+ * Convert a value between units of the same kind
+ * @param {number} value - Amount to convert
+ * @param {string} from - Source unit
+ * @param {string} to - Target unit
+ * @returns {number} Converted amount
+ */
+export function convertUnits(value, from, to) {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) throw new Error('Value must be a number');
+
+  const source = normalizeUnit(from);
+  const target = normalizeUnit(to);
+
+  if (TEMPERATURE_UNITS[source] && TEMPERATURE_UNITS[target]) {
+    return TEMPERATURE_UNITS[target].fromKelvin(TEMPERATURE_UNITS[source].toKelvin(amount));
+  }
+
+  for (const factors of Object.values(UNIT_FACTORS)) {
+    if (source in factors && target in factors) {
+      return amount * factors[source] / factors[target];
+    }
+  }
+
+  throw new Error(`Can't convert ${from} to ${to}`);
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+function roundResult(value) {
+  return Math.round(value * 1e10) / 1e10;
+}
+
+function snippet(content, needle) {
+  const index = content.toLowerCase().indexOf(needle.toLowerCase());
+  const start = Math.max(0, index - MAX_SNIPPET_LENGTH / 2);
+  const text = content.slice(start, start + MAX_SNIPPET_LENGTH);
+  return `${start > 0 ? '...' : ''}${text}${start + MAX_SNIPPET_LENGTH < content.length ? '...' : ''}`;
+}
+
+const TOOLS = [
+  {
+    name: 'calculator',
+    description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, sin, cos, tan, log, ln, exp, pi and e.',
+    parameters: {
+      type: 'object',
+      properties: { expression: { type: 'string', description: 'Expression, e.g. "(12.5 * 4) ^ 2"' } },
+      required: ['expression']
+    },
+    run: ({ expression }) => ({ expression, result: roundResult(evaluateExpression(expression)) })
+  },
+  {
+    name: 'current_datetime',
+    description: 'Get the current date and time, optionally in another IANA time zone.',
+    parameters: {
+      type: 'object',
+      properties: { timezone: { type: 'string', description: 'IANA time zone, e.g. "Europe/Paris" (default: the user\'s)' } }
+    },
+    run: ({ timezone } = {}) => {
+      const now = new Date();
+      const timeZone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+      return {
+        iso: now.toISOString(),
+        local: now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' }),
+        timezone: timeZone
+      };
+    }
+  },
+  {
+    name: 'convert_units',
+    description: 'Convert between units of length, mass, volume, speed or temperature (e.g. km to mi, lb to kg, c to f).',
+    parameters: {
+      type: 'object',
+      properties: {
+        value: { type: 'number' },
+        from: { type: 'string', description: 'Source unit, e.g. "km"' },
+        to: { type: 'string', description: 'Target unit, e.g. "mi"' }
+      },
+      required: ['value', 'from', 'to']
+    },
+    run: ({ value, from, to }) => ({ value, from, to, result: roundResult(convertUnits(value, from, to)) })
+  },
+  {
+    name: 'search_chats',
+    description: 'Search the user\'s own past chats for messages containing some text.',
+    parameters: {
+      type: 'object',
+      properties: { query: { type: 'string', description: 'Text to look for' } },
+      required: ['query']
+    },
+    run: async ({ query }, context) => {
+      const matches = await context.searchMessages(String(query || ''));
+      return {
+        query,
+        results: matches.map(m => ({
+          chat: m.chatTitle,
+          role: m.role,
+          date: m.timestamp.toISOString().slice(0, 10),
+          text: snippet(m.content, String(query))
+        }))
+      };
+    }
+  }
+];
+
+/**
+ * Get the tool registry
+ * @returns {Array} Tools { name, description, parameters }
+ */
+export function getTools() {
+  return TOOLS.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Build the system prompt section that describes the tools and the call format
+ * @returns {string}
+ */
+export function buildToolInstruction() {
+  const toolList = TOOLS
+    .map(({ name, description, parameters }) => JSON.stringify({ name, description, parameters }))
+    .join('\n');
+
+  return `You can call these tools:
+${toolList}
+
+To call a tool, reply with only:
+<tool_call>{"name": "<tool name>", "arguments": {...}}</tool_call>
+The result will be sent back to you in <tool_response> tags. Only call a tool when it helps answer the user.`;
+}
+
+/**
+ * Find a tool call in model output
+ * @param {string} text - Model output
+ * @returns {Object|null} { name, arguments } or null if there is no well-formed call
+ */
+export function parseToolCall(text) {
+  const match = TOOL_CALL_PATTERN.exec(text || '');
+  if (!match) return null;
+
+  try {
+    const call = JSON.parse(match[1]);
+    if (!call || typeof call.name !== 'string') return null;
+    return { name: call.name, arguments: call.arguments && typeof call.arguments === 'object' ? call.arguments : {} };
+  } catch (e) {
+    log('[Tools] Malformed tool call:', match[1]);
+    return null;
+  }
+}
+
+/**
+ * Remove a tool call from model output, leaving any text around it
+ * @param {string} text - Model output
+ * @returns {string}
+ */
+export function stripToolCall(text) {
+  return (text || '').replace(TOOL_CALL_PATTERN, '').trim();
+}
+
+/**
+ * Execute a tool call
+ * @param {Object} call - { name, arguments }
+ * @param {Object} context - Services tools may use ({ searchMessages })
+ * @returns {Promise<Object>} { result } on success, { error } otherwise
+ */
+export async function runTool(call, context) {
+  const tool = TOOLS.find(t => t.name === call.name);
+  if (!tool) return { error: `Unknown tool "${call.name}"` };
+
+  try {
+    const result = await tool.run(call.arguments || {}, context);
+    log('[Tools] Ran', call.name, result);
+    return { result };
+  } catch (err) {
+    log('[Tools] Tool failed:', call.name, err);
+    return { error: err.message };
+  }
+}
+
+/**
+ * Format a tool message for the model
+ * WebLLM only accepts system/user/assistant turns here, so results go back
+ * as a user turn wrapped in <tool_response> tags
+ * @param {string} content - Tool result JSON
+ * @returns {Object} Chat message
+ */
+export function toolResultMessage(content) {
+  return { role: 'user', content: `<tool_response>\n${content}\n</tool_response>` };
+}